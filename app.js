@@ -1,4 +1,4 @@
-require("dotenv").config({ silent: true });
+#!/usr/bin/env node
 const axios = require("axios");
 const inquirer = require("inquirer").default;
 const WebSocket = require("ws");
@@ -6,15 +6,19 @@ const readline = require("readline");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const { spawnSync } = require("child_process");
+const { spawn, spawnSync } = require("child_process");
 const FormData = require("form-data");
 const chalk = require("chalk").default;
 const Table = require("cli-table3");
 
+// Always read the .env next to app.js, so the `pterocli` bin works from any directory.
+require("dotenv").config({ path: path.join(__dirname, ".env"), quiet: true });
+
 // --- GLOBAL CONFIG & LANGUAGE ---
 let config = {};
 let lang = {};
 const CONFIG_PATH = path.join(__dirname, "config.json");
+const HISTORY_PATH = path.join(__dirname, "console_history.json");
 
 // --- PTERODACTYL API CONFIG ---
 let PANEL_URL = process.env.PTERO_URL;
@@ -22,7 +26,19 @@ let API_KEY = process.env.PTERO_KEY;
 // --------------------------------
 
 let api; // Will be initialized after config validation.
-let ws; // WebSocket connection
+let activeProfile = null; // Name of the profile in use, null when using .env
+
+function validatePanelUrl(value) {
+  try {
+    const url = new URL(value);
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return "Please enter a valid HTTP/HTTPS URL.";
+    }
+    return true;
+  } catch (error) {
+    return "Please enter a valid URL.";
+  }
+}
 
 async function validateAndPromptEnv() {
   let envFile = "";
@@ -43,17 +59,7 @@ async function validateAndPromptEnv() {
       name: "ptero_url",
       message:
         "Enter your Pterodactyl panel URL (e.g., https://panel.example.com):",
-      validate: function (value) {
-        try {
-          const url = new URL(value);
-          if (url.protocol !== "http:" && url.protocol !== "https:") {
-            return "Please enter a valid HTTP/HTTPS URL.";
-          }
-          return true;
-        } catch (error) {
-          return "Please enter a valid URL.";
-        }
-      },
+      validate: validatePanelUrl,
     });
     const urlObject = new URL(ptero_url);
     PANEL_URL = urlObject.origin;
@@ -85,16 +91,24 @@ async function validateAndPromptEnv() {
     console.log(chalk.green("✅ Configuration saved to .env file."));
   }
   // Initialize the API client with the (potentially new) credentials
-  api = axios.create({
-    baseURL: `${PANEL_URL}/api/client`,
+  createApiClient();
+}
+
+function buildApiClient(panelUrl, apiKey) {
+  return axios.create({
+    baseURL: `${panelUrl}/api/client`,
     headers: {
-      Authorization: `Bearer ${API_KEY}`,
+      Authorization: `Bearer ${apiKey}`,
       Accept: "Application/vnd.pterodactyl.v1+json",
       "Content-Type": "application/json",
     },
   });
 }
 
+function createApiClient() {
+  api = buildApiClient(PANEL_URL, API_KEY);
+}
+
 // --- LANGUAGE & CONFIG FUNCTIONS ---
 
 function loadConfig() {
@@ -148,6 +162,12 @@ async function settingsMenu() {
           value: "lang",
         },
         { name: `${lang.settings.editor} (${config.editor})`, value: "editor" },
+        {
+          name: `${lang.settings.dashboard_refresh} (${getDashboardRefresh() ? `${getDashboardRefresh()}s` : lang.settings.off})`,
+          value: "dashboard",
+        },
+        { name: lang.settings.recording, value: "recording" },
+        { name: lang.settings.profiles, value: "profiles" },
         new inquirer.Separator(),
         { name: lang.settings.back, value: "back" },
       ],
@@ -183,15 +203,396 @@ async function settingsMenu() {
         lang.settings.editor_changed.replace("{editor}", config.editor),
       ),
     );
+  } else if (choice === "dashboard") {
+    const { seconds } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "seconds",
+        message: lang.settings.dashboard_refresh_prompt,
+        choices: [5, 10, 30, 60]
+          .map((value) => ({ name: `${value}s`, value }))
+          .concat({ name: lang.settings.off, value: 0 }),
+        default: getDashboardRefresh(),
+      },
+    ]);
+    config.dashboardRefresh = seconds;
+    saveConfig();
+    console.log(chalk.green(lang.settings.dashboard_refresh_changed));
+  } else if (choice === "recording") {
+    const current = getRecordingSettings();
+    const positive = (value) =>
+      (Number.isInteger(value) && value > 0) || lang.settings.positive_number;
+    const answers = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "stripAnsi",
+        message: lang.settings.recording_strip_ansi,
+        default: current.stripAnsi,
+      },
+      {
+        type: "number",
+        name: "maxSizeMb",
+        message: lang.settings.recording_max_size,
+        default: current.maxSizeMb,
+        validate: positive,
+      },
+      {
+        type: "number",
+        name: "maxFiles",
+        message: lang.settings.recording_max_files,
+        default: current.maxFiles,
+        validate: positive,
+      },
+    ]);
+    config.recording = answers;
+    saveConfig();
+    console.log(chalk.green(lang.settings.recording_changed));
+  } else if (choice === "profiles") {
+    await profilesMenu();
+  }
+}
+
+// --- PROFILE FUNCTIONS ---
+
+function getProfiles() {
+  return config.profiles || {};
+}
+
+function hasEnvCredentials() {
+  return Boolean(process.env.PTERO_URL && process.env.PTERO_KEY);
+}
+
+function useProfile(name) {
+  const profile = getProfiles()[name];
+  if (!profile) {
+    throw new Error(lang.profiles.not_found.replace("{profile}", name));
+  }
+  PANEL_URL = profile.url;
+  API_KEY = profile.key;
+  activeProfile = name;
+  createApiClient();
+}
+
+async function useEnvCredentials() {
+  PANEL_URL = process.env.PTERO_URL;
+  API_KEY = process.env.PTERO_KEY;
+  activeProfile = null;
+  await validateAndPromptEnv();
+}
+
+async function selectProfile() {
+  const names = Object.keys(getProfiles());
+  if (names.length === 0) {
+    await useEnvCredentials();
+    return;
+  }
+  if (names.length === 1 && !hasEnvCredentials()) {
+    useProfile(names[0]);
+    return;
+  }
+
+  const choices = names.map((name) => ({
+    name: `${name} (${chalk.gray(getProfiles()[name].url)})`,
+    value: name,
+  }));
+  if (hasEnvCredentials()) {
+    choices.push({
+      name: `${lang.profiles.env_profile} (${chalk.gray(process.env.PTERO_URL)})`,
+      value: null,
+    });
+  }
+
+  const { profile } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "profile",
+      message: chalk.bold(lang.profiles.select_prompt),
+      choices,
+      default: activeProfile,
+    },
+  ]);
+
+  if (profile === null) {
+    await useEnvCredentials();
+  } else {
+    useProfile(profile);
+  }
+  console.log(
+    chalk.green(
+      lang.profiles.using.replace(
+        "{profile}",
+        chalk.bold(profile || lang.profiles.env_profile),
+      ),
+    ),
+  );
+}
+
+// Replaces the API key in use, wherever it came from (profile or .env).
+function persistApiKey(newKey) {
+  API_KEY = newKey;
+  createApiClient();
+
+  if (activeProfile) {
+    config.profiles[activeProfile].key = newKey;
+    saveConfig();
+    return;
+  }
+
+  const envPath = path.join(__dirname, ".env");
+  let envFile = fs.existsSync(envPath) ? fs.readFileSync(envPath, "utf8") : "";
+  if (/^PTERO_KEY=.*$/m.test(envFile)) {
+    envFile = envFile.replace(/^PTERO_KEY=.*$/m, `PTERO_KEY=${newKey}`);
+  } else {
+    envFile += `\nPTERO_KEY=${newKey}`;
+  }
+  fs.writeFileSync(envPath, envFile);
+  process.env.PTERO_KEY = newKey;
+}
+
+function validateProfileName(value, currentName) {
+  const name = value.trim();
+  if (!name) return lang.profiles.name_empty;
+  if (/\s/.test(name)) return lang.profiles.name_whitespace;
+  if (name !== currentName && getProfiles()[name]) {
+    return lang.profiles.name_taken.replace("{profile}", name);
+  }
+  return true;
+}
+
+function addProfile(name, url, key) {
+  config.profiles = {
+    ...getProfiles(),
+    [name]: { url: new URL(url).origin, key },
+  };
+  saveConfig();
+}
+
+function removeProfile(name) {
+  const profiles = getProfiles();
+  delete profiles[name];
+  config.profiles = profiles;
+  saveConfig();
+  if (activeProfile === name) activeProfile = null;
+}
+
+function renameProfile(oldName, newName) {
+  const profiles = {};
+  for (const [name, profile] of Object.entries(getProfiles())) {
+    profiles[name === oldName ? newName : name] = profile;
+  }
+  config.profiles = profiles;
+  saveConfig();
+  if (activeProfile === oldName) activeProfile = newName;
+}
+
+async function testProfile(name) {
+  const profile = getProfiles()[name];
+  if (!profile) {
+    throw new Error(lang.profiles.not_found.replace("{profile}", name));
+  }
+  try {
+    const { data } = await buildApiClient(profile.url, profile.key).get(
+      "/account",
+    );
+    return { ok: true, username: data.attributes.username };
+  } catch (error) {
+    return {
+      ok: false,
+      error: error.response?.data?.errors?.[0]?.detail || error.message,
+    };
+  }
+}
+
+function printProfileTestResult(name, result) {
+  if (result.ok) {
+    console.log(
+      chalk.green(
+        lang.profiles.test_success
+          .replace("{profile}", name)
+          .replace("{username}", result.username),
+      ),
+    );
+  } else {
+    console.error(
+      chalk.red(
+        lang.profiles.test_fail
+          .replace("{profile}", name)
+          .replace("{error}", result.error),
+      ),
+    );
+  }
+}
+
+async function profilesMenu() {
+  while (true) {
+    const names = Object.keys(getProfiles());
+    const { choice } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "choice",
+        message: chalk.bold(lang.profiles.menu_title),
+        choices: [
+          ...names.map(
+            (name) =>
+              new inquirer.Separator(
+                `${name === activeProfile ? chalk.green("●") : " "} ${name} (${chalk.gray(getProfiles()[name].url)})`,
+              ),
+          ),
+          new inquirer.Separator(),
+          { name: lang.profiles.add, value: "add" },
+          ...(names.length > 0
+            ? [
+                { name: lang.profiles.rename, value: "rename" },
+                { name: lang.profiles.test, value: "test" },
+                { name: chalk.red(lang.profiles.remove), value: "remove" },
+              ]
+            : []),
+          new inquirer.Separator(),
+          { name: lang.settings.back, value: "back" },
+        ],
+      },
+    ]);
+
+    if (choice === "back") return;
+
+    if (choice === "add") {
+      const answers = await inquirer.prompt([
+        {
+          type: "input",
+          name: "name",
+          message: lang.profiles.name_prompt,
+          validate: (value) => validateProfileName(value),
+        },
+        {
+          type: "input",
+          name: "url",
+          message: lang.profiles.url_prompt,
+          validate: validatePanelUrl,
+        },
+        {
+          type: "input",
+          name: "key",
+          message: lang.profiles.key_prompt,
+          validate: (value) =>
+            (value && value.trim().length > 0) || lang.profiles.key_empty,
+        },
+      ]);
+      const name = answers.name.trim();
+      addProfile(name, answers.url, answers.key.trim());
+      console.log(chalk.green(lang.profiles.added.replace("{profile}", name)));
+      console.log(chalk.yellow(lang.profiles.testing));
+      printProfileTestResult(name, await testProfile(name));
+      continue;
+    }
+
+    const { name } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "name",
+        message: lang.profiles.choose_prompt,
+        choices: names,
+      },
+    ]);
+
+    if (choice === "test") {
+      console.log(chalk.yellow(lang.profiles.testing));
+      printProfileTestResult(name, await testProfile(name));
+    } else if (choice === "rename") {
+      const { newName } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "newName",
+          message: lang.profiles.rename_prompt.replace("{profile}", name),
+          default: name,
+          validate: (value) => validateProfileName(value, name),
+        },
+      ]);
+      if (newName.trim() !== name) {
+        renameProfile(name, newName.trim());
+        console.log(chalk.green(lang.profiles.renamed));
+      }
+    } else if (choice === "remove") {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirm",
+          message: lang.profiles.remove_confirm.replace(
+            "{profile}",
+            chalk.yellow.bold(name),
+          ),
+          default: false,
+        },
+      ]);
+      if (confirm) {
+        const wasActive = name === activeProfile;
+        removeProfile(name);
+        console.log(chalk.green(lang.profiles.removed));
+        // The client still holds the removed profile's credentials; pick new
+        // ones (another profile, .env, or a fresh setup prompt) right away.
+        if (wasActive) {
+          console.log(chalk.yellow(lang.profiles.active_removed));
+          await selectProfile();
+        }
+      }
+    }
   }
 }
 
+// --- FORMATTING HELPERS ---
+
+function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const exponent = Math.min(
+    Math.floor(Math.log(bytes) / Math.log(1024)),
+    units.length - 1,
+  );
+  return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 2)} ${units[exponent]}`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "-";
+}
+
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, "");
+}
+
+function formatUptime(uptimeMs) {
+  if (!(uptimeMs > 0)) return "N/A";
+  let totalSeconds = Math.floor(uptimeMs / 1000);
+  const days = Math.floor(totalSeconds / (24 * 3600));
+  totalSeconds %= 24 * 3600;
+  const hours = Math.floor(totalSeconds / 3600);
+  totalSeconds %= 3600;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return [
+    days > 0 && `${days}d`,
+    hours > 0 && `${hours}h`,
+    minutes > 0 && `${minutes}m`,
+    `${seconds}s`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
 // --- CORE APPLICATION FLOW ---
 
-async function main() {
+async function main(options = {}) {
   loadConfig();
   loadLanguage();
-  await validateAndPromptEnv();
+
+  if (options.profile) {
+    try {
+      useProfile(options.profile);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      return;
+    }
+  } else {
+    await selectProfile();
+  }
 
   while (true) {
     try {
@@ -202,6 +603,34 @@ async function main() {
         continue; // Loop back to server selection
       }
 
+      if (serverInfo === "switch-profile") {
+        await selectProfile();
+        continue;
+      }
+
+      if (serverInfo === "account") {
+        if ((await accountMenu()) === "exit") {
+          console.log(chalk.cyan(lang.messages.goodbye));
+          return;
+        }
+        continue;
+      }
+
+      if (serverInfo === "multi-console") {
+        await multiConsoleMenu();
+        continue;
+      }
+
+      if (serverInfo === "bulk-power") {
+        await bulkPowerMenu();
+        continue;
+      }
+
+      if (serverInfo === "dashboard") {
+        serverInfo = await dashboardView();
+        if (!serverInfo) continue;
+      }
+
       if (!serverInfo) {
         console.log(chalk.cyan(lang.messages.goodbye));
         return; // Exit the program
@@ -217,19 +646,71 @@ async function main() {
           case "stop":
           case "restart":
           case "kill":
-            await sendPowerAction(serverInfo.id, action);
-            console.log(chalk.yellow(lang.messages.waiting_for_status_update));
-            await new Promise((resolve) => setTimeout(resolve, 5000));
+            if (await sendPowerAction(serverInfo.id, action)) {
+              await waitForServerState(serverInfo.id, action);
+            }
+            break;
+
+          case "graceful":
+            await gracefulPowerMenu(serverInfo.id);
             break;
 
           case "console":
-            await connectToConsole(serverInfo.id);
+            await connectToConsole(serverInfo.id, {
+              logFile: options["log-file"],
+            });
+            break;
+
+          case "triggers":
+            await triggersMenu(serverInfo.id);
+            break;
+
+          case "monitor":
+            await monitorServer(serverInfo.id, serverInfo.name);
             break;
 
           case "file-manager":
             await fileManagerMenu(serverInfo.id);
             break;
 
+          case "backups":
+            await backupsMenu(serverInfo.id);
+            break;
+
+          case "schedules":
+            await schedulesMenu(serverInfo.id);
+            break;
+
+          case "databases":
+            await databasesMenu(serverInfo.id);
+            break;
+
+          case "network":
+            await networkMenu(serverInfo.id);
+            break;
+
+          case "users":
+            await usersMenu(serverInfo.id);
+            break;
+
+          case "startup":
+            await startupMenu(serverInfo.id);
+            break;
+
+          case "activity":
+            await activityMenu(
+              `/servers/${serverInfo.id}/activity`,
+              lang.activity.server_title.replace(
+                "{serverName}",
+                serverInfo.name,
+              ),
+            );
+            break;
+
+          case "server-settings":
+            serverInfo = await serverSettingsMenu(serverInfo);
+            break;
+
           case "change-server":
             backToServerSelection = true;
             break;
@@ -250,13 +731,32 @@ async function main() {
   }
 }
 
+// Follows the panel's pagination and returns the attributes of every item.
+async function fetchAllPages(endpoint) {
+  const items = [];
+  const separator = endpoint.includes("?") ? "&" : "?";
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const { data } = await api.get(`${endpoint}${separator}page=${page}`);
+    items.push(...data.data.map((item) => item.attributes));
+    totalPages = data.meta?.pagination?.total_pages || 1;
+    page++;
+  } while (page <= totalPages);
+  return items;
+}
+
+async function fetchServers() {
+  return fetchAllPages("/");
+}
+
 async function selectServer() {
   console.log(chalk.yellow(lang.messages.fetching_servers));
-  const { data: serverList } = await api.get("/");
+  const servers = await fetchServers();
 
-  const serverChoices = serverList.data.map((server) => ({
-    name: `${server.attributes.name} (${chalk.gray(server.attributes.identifier.substring(0, 8))})`,
-    value: { id: server.attributes.identifier, name: server.attributes.name },
+  const serverChoices = servers.map((server) => ({
+    name: `${server.name} (${chalk.gray(server.identifier.substring(0, 8))})`,
+    value: { id: server.identifier, name: server.name },
   }));
 
   if (serverChoices.length === 0) {
@@ -266,6 +766,21 @@ async function selectServer() {
 
   serverChoices.push(
     new inquirer.Separator(),
+    { name: lang.menus.actions.dashboard, value: "dashboard" },
+    { name: lang.menus.actions.multi_console, value: "multi-console" },
+    { name: lang.menus.actions.bulk_power, value: "bulk-power" },
+  );
+  if (Object.keys(getProfiles()).length > 0) {
+    serverChoices.push({
+      name: lang.menus.actions.switch_profile.replace(
+        "{profile}",
+        activeProfile || lang.profiles.env_profile,
+      ),
+      value: "switch-profile",
+    });
+  }
+  serverChoices.push(
+    { name: lang.menus.actions.account, value: "account" },
     { name: lang.menus.actions.settings, value: "settings" },
     { name: lang.menus.actions.exit, value: null },
   );
@@ -279,7 +794,7 @@ async function selectServer() {
     },
   ]);
 
-  if (selectedServer && selectedServer !== "settings") {
+  if (selectedServer && typeof selectedServer === "object") {
     console.log(
       chalk.green(
         lang.messages.server_selected.replace(
@@ -302,11 +817,22 @@ async function selectAction(serverName) {
       ),
       choices: [
         { name: lang.menus.actions.console, value: "console" },
+        { name: lang.menus.actions.monitor, value: "monitor" },
+        { name: lang.menus.actions.triggers, value: "triggers" },
         { name: lang.menus.actions.file_manager, value: "file-manager" },
+        { name: lang.menus.actions.backups, value: "backups" },
+        { name: lang.menus.actions.schedules, value: "schedules" },
+        { name: lang.menus.actions.databases, value: "databases" },
+        { name: lang.menus.actions.network, value: "network" },
+        { name: lang.menus.actions.users, value: "users" },
+        { name: lang.menus.actions.startup, value: "startup" },
+        { name: lang.menus.actions.activity, value: "activity" },
+        { name: lang.menus.actions.server_settings, value: "server-settings" },
         new inquirer.Separator(),
         { name: chalk.green(lang.menus.actions.start), value: "start" },
         { name: chalk.red(lang.menus.actions.stop), value: "stop" },
         { name: chalk.yellow(lang.menus.actions.restart), value: "restart" },
+        { name: chalk.yellow(lang.menus.actions.graceful), value: "graceful" },
         { name: chalk.magenta(lang.menus.actions.kill), value: "kill" },
         new inquirer.Separator(),
         { name: lang.menus.actions.change_server, value: "change-server" },
@@ -366,26 +892,10 @@ async function displayServerStatus(serverId) {
     table.push([chalk.bold(lang.status.metric_status), stateText]);
 
     if (currentState !== "offline") {
-      const uptimeMs = status.resources.uptime;
-      let uptimeStr = "N/A";
-      if (uptimeMs > 0) {
-        let totalSeconds = Math.floor(uptimeMs / 1000);
-        const days = Math.floor(totalSeconds / (24 * 3600));
-        totalSeconds %= 24 * 3600;
-        const hours = Math.floor(totalSeconds / 3600);
-        totalSeconds %= 3600;
-        const minutes = Math.floor(totalSeconds / 60);
-        const seconds = totalSeconds % 60;
-        uptimeStr = [
-          days > 0 && `${days}d`,
-          hours > 0 && `${hours}h`,
-          minutes > 0 && `${minutes}m`,
-          `${seconds}s`,
-        ]
-          .filter(Boolean)
-          .join(" ");
-      }
-      table.push([chalk.bold(lang.status.metric_uptime), uptimeStr]);
+      table.push([
+        chalk.bold(lang.status.metric_uptime),
+        formatUptime(status.resources.uptime),
+      ]);
 
       const cpuUsage = `${status.resources.cpu_absolute.toFixed(2)}%`;
       const memoryBytes = status.resources.memory_bytes;
@@ -424,59 +934,672 @@ async function sendPowerAction(serverId, signal) {
   try {
     await api.post(`/servers/${serverId}/power`, { signal });
     console.log(chalk.green(lang.messages.power_action_sent));
+    return true;
   } catch (error) {
     const errorMsg = error.response?.data?.errors?.[0]?.detail || error.message;
     console.error(
       chalk.red(lang.messages.power_action_fail.replace("{error}", errorMsg)),
     );
+    return false;
   }
 }
 
-// --- FILE MANAGER FUNCTIONS ---
+const POWER_TARGET_STATES = {
+  start: "running",
+  restart: "running",
+  stop: "offline",
+  kill: "offline",
+};
+const POWER_WAIT_TIMEOUT = 120;
+const POWER_POLL_INTERVAL = 3000;
+const SPINNER_FRAMES = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
 
-async function fileManagerMenu(serverId) {
-  let currentPath = "/";
-  while (true) {
-    try {
-      const items = await listDirectory(serverId, currentPath);
-      const choices = [
-        new inquirer.Separator(),
-        { name: lang.fileManager.back_to_main_menu, value: { action: "exit" } },
-        { name: lang.fileManager.upload_file, value: { action: "upload" } },
-        {
-          name: lang.fileManager.create_directory,
-          value: { action: "create-dir" },
-        },
-        {
-          name: lang.fileManager.archive_selected,
-          value: { action: "archive-selected" },
-        },
-        {
-          name: lang.fileManager.batch_delete,
-          value: { action: "batch-delete" },
-        },
-        {
-          name: lang.fileManager.batch_move,
-          value: { action: "batch-move" },
-        },
-        {
-          name: lang.fileManager.batch_copy,
-          value: { action: "batch-copy" },
-        },
-      ];
-      if (currentPath !== "/") {
-        choices.push({ name: lang.fileManager.go_up, value: { action: "up" } });
-      }
-      choices.push(new inquirer.Separator());
+// One-line spinner, with the elapsed time unless the text carries its own clock. Without a
+// TTY (cron, CI) each new text is printed once instead.
+function createSpinner(showElapsed = true) {
+  const animated = process.stdout.isTTY;
+  const started = Date.now();
+  let frame = 0;
+  let text = "";
 
-      items.dirs.forEach((dir) =>
-        choices.push({
-          name: `📁 ${dir.name}`,
-          value: { action: "dir", item: dir },
-        }),
-      );
-      items.files.forEach((file) =>
-        choices.push({
+  const clear = () => {
+    readline.cursorTo(process.stdout, 0);
+    readline.clearLine(process.stdout, 0);
+  };
+  const draw = () => {
+    const seconds = Math.floor((Date.now() - started) / 1000);
+    clear();
+    process.stdout.write(
+      `${chalk.cyan(SPINNER_FRAMES[frame])} ${text}` +
+        (showElapsed ? ` ${chalk.gray(`${seconds}s`)}` : ""),
+    );
+  };
+  const timer = animated
+    ? setInterval(() => {
+        frame = (frame + 1) % SPINNER_FRAMES.length;
+        draw();
+      }, 100)
+    : null;
+
+  return {
+    update(next) {
+      if (next === text) return;
+      text = next;
+      if (animated) draw();
+      else console.log(next);
+    },
+    // Prints a line above the spinner without breaking it.
+    log(line) {
+      if (animated) clear();
+      console.log(line);
+      if (animated) draw();
+    },
+    stop(finalLine) {
+      clearInterval(timer);
+      if (animated) clear();
+      if (finalLine) console.log(finalLine);
+    },
+  };
+}
+
+// Follows the server after a power signal until it reaches the signal's target state. Status
+// events come from the websocket; /resources is polled while the socket is unavailable.
+// Resolves to { result: "reached" | "failed" | "timeout", state }.
+function waitForServerState(
+  serverId,
+  signal,
+  timeoutSeconds = POWER_WAIT_TIMEOUT,
+) {
+  const target = POWER_TARGET_STATES[signal];
+  const started = Date.now();
+  const spinner = createSpinner();
+
+  return new Promise((resolve) => {
+    let state = null;
+    let done = false;
+    let polling = false;
+    let pollTimer = null;
+    let booting = false;
+    // A restart still reports "running" until the daemon picks it up, so only count
+    // "running" once the server has been seen leaving it.
+    let leftRunning = signal !== "restart";
+
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timeoutTimer);
+      clearTimeout(pollTimer);
+      socket.close();
+      const seconds = Math.round((Date.now() - started) / 1000);
+      const messages = {
+        reached: chalk.green(
+          lang.messages.wait_reached
+            .replace("{state}", target)
+            .replace("{seconds}", seconds),
+        ),
+        failed: chalk.red(
+          lang.messages.wait_failed
+            .replace("{state}", state)
+            .replace("{target}", target),
+        ),
+        timeout: chalk.red(
+          lang.messages.wait_timeout
+            .replace("{seconds}", seconds)
+            .replace("{target}", target)
+            .replace("{state}", state || lang.messages.wait_unknown),
+        ),
+      };
+      spinner.stop(messages[result]);
+      resolve({ result, state });
+    };
+
+    const observe = (next, uptime) => {
+      if (done || !next) return;
+      state = next;
+      spinner.update(
+        lang.messages.wait_state
+          .replace("{target}", target)
+          .replace("{state}", stateColor(next)(next)),
+      );
+      // Polling can miss a quick restart entirely; an uptime younger than the wait gives it away.
+      if (next !== "running" || uptime < Date.now() - started) {
+        leftRunning = true;
+      }
+      if (next === "starting") booting = true;
+      if (target === "running" && booting && next === "offline") {
+        finish("failed");
+      } else if (next === target && leftRunning) {
+        finish("reached");
+      }
+    };
+
+    const poll = async () => {
+      try {
+        const response = await api.get(`/servers/${serverId}/resources`);
+        const { current_state, resources } = response.data.attributes;
+        observe(current_state, resources?.uptime);
+      } catch (error) {
+        // Keep polling; the timeout decides when to give up.
+      }
+      if (!done) pollTimer = setTimeout(poll, POWER_POLL_INTERVAL);
+    };
+    const startPolling = () => {
+      if (polling || done) return;
+      polling = true;
+      poll();
+    };
+
+    const timeoutTimer = setTimeout(
+      () => finish("timeout"),
+      timeoutSeconds * 1000,
+    );
+    const socket = openServerSocket(serverId, {
+      onEvent: (message) => {
+        if (message.event === "status") observe(message.args[0]);
+      },
+      onReconnecting: startPolling,
+      // Only reached here when the socket could not connect at all.
+      onClose: startPolling,
+    });
+
+    spinner.update(lang.messages.wait_start.replace("{target}", target));
+  });
+}
+
+// --- BULK POWER FUNCTIONS ---
+
+async function bulkPowerMenu() {
+  console.log(chalk.yellow(lang.messages.fetching_servers));
+  const servers = await fetchServers();
+  const { selected, signal } = await inquirer.prompt([
+    {
+      type: "checkbox",
+      name: "selected",
+      message: lang.bulk.select_prompt,
+      choices: servers.map((server) => ({
+        name: `${server.name} (${chalk.gray(server.identifier)})`,
+        value: { id: server.identifier, name: server.name },
+      })),
+      validate: (value) => value.length > 0 || lang.bulk.select_empty,
+      pageSize: 20,
+    },
+    {
+      type: "list",
+      name: "signal",
+      message: lang.bulk.signal_prompt,
+      choices: ["start", "stop", "restart", "kill"].map((value) => ({
+        name: lang.messages.power_actions[value],
+        value,
+      })),
+    },
+  ]);
+
+  const ordered = await promptBulkOrder(selected);
+  const { delay, wait } = await inquirer.prompt([
+    {
+      type: "number",
+      name: "delay",
+      message: lang.bulk.delay_prompt,
+      default: 0,
+      validate: (value) =>
+        (Number.isInteger(value) && value >= 0) || lang.bulk.delay_invalid,
+      when: ordered.length > 1,
+    },
+    {
+      type: "confirm",
+      name: "wait",
+      message: lang.bulk.wait_prompt.replace(
+        "{state}",
+        POWER_TARGET_STATES[signal],
+      ),
+      default: false,
+    },
+  ]);
+  const plan = { servers: ordered, signal, delay: delay || 0, wait };
+
+  // Every run starts from the plan so nothing is sent before it has been reviewed.
+  console.log(renderBulkPlan(plan));
+  const { confirm } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "confirm",
+      message: lang.bulk.confirm_prompt,
+      choices: [
+        { name: lang.bulk.run, value: "run" },
+        { name: lang.bulk.dry_run, value: "dry-run" },
+      ],
+    },
+  ]);
+  if (confirm === "dry-run") {
+    console.log(chalk.yellow(lang.bulk.dry_run_done));
+    return;
+  }
+
+  const results = await runBulkPower(plan);
+  console.log(renderBulkResults(plan, results));
+}
+
+async function promptBulkOrder(servers) {
+  if (servers.length < 2) return servers;
+  const { order } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "order",
+      message: lang.bulk.order_prompt,
+      choices: [
+        { name: lang.bulk.order_listed, value: "listed" },
+        { name: lang.bulk.order_reverse, value: "reverse" },
+        { name: lang.bulk.order_custom, value: "custom" },
+      ],
+    },
+  ]);
+  if (order === "listed") return servers;
+  if (order === "reverse") return [...servers].reverse();
+
+  const remaining = [...servers];
+  const ordered = [];
+  while (remaining.length > 1) {
+    const { next } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "next",
+        message: lang.bulk.order_next.replace("{position}", ordered.length + 1),
+        choices: remaining.map((server) => ({
+          name: server.name,
+          value: server,
+        })),
+      },
+    ]);
+    ordered.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+  }
+  return [...ordered, ...remaining];
+}
+
+function describeBulkStart(plan, index) {
+  if (index === 0) return lang.bulk.start_now;
+  const template = plan.wait
+    ? lang.bulk.start_after_wait
+    : plan.delay > 0
+      ? lang.bulk.start_after
+      : lang.bulk.start_now;
+  return template
+    .replace("{seconds}", plan.delay)
+    .replace("{state}", POWER_TARGET_STATES[plan.signal]);
+}
+
+function renderBulkPlan(plan) {
+  const table = new Table({
+    head: [
+      lang.bulk.header_order,
+      lang.bulk.header_server,
+      lang.bulk.header_action,
+      lang.bulk.header_when,
+    ].map((header) => chalk.cyan.bold(header)),
+  });
+  plan.servers.forEach((server, index) => {
+    table.push([
+      index + 1,
+      `${server.name} (${chalk.gray(server.id)})`,
+      lang.messages.power_actions[plan.signal],
+      describeBulkStart(plan, index),
+    ]);
+  });
+  return table.toString();
+}
+
+// Runs the plan one server at a time, so the order and delays mean "before the next one starts".
+async function runBulkPower(plan) {
+  const results = [];
+  for (const [index, server] of plan.servers.entries()) {
+    if (index > 0 && plan.delay > 0) {
+      console.log(
+        chalk.gray(lang.bulk.delaying.replace("{seconds}", plan.delay)),
+      );
+      await new Promise((resolve) => setTimeout(resolve, plan.delay * 1000));
+    }
+
+    console.log(
+      chalk.bold(
+        `\n[${index + 1}/${plan.servers.length}] ${chalk.cyan(server.name)}`,
+      ),
+    );
+    const started = Date.now();
+    if (!(await sendPowerAction(server.id, plan.signal))) {
+      results.push({ result: "not_sent" });
+      continue;
+    }
+    if (!plan.wait) {
+      results.push({ result: "sent" });
+      continue;
+    }
+    const { result, state } = await waitForServerState(server.id, plan.signal);
+    results.push({
+      result,
+      state,
+      seconds: Math.round((Date.now() - started) / 1000),
+    });
+  }
+  return results;
+}
+
+function renderBulkResults(plan, results) {
+  const table = new Table({
+    head: [
+      lang.bulk.header_server,
+      lang.bulk.header_result,
+      lang.bulk.header_time,
+    ].map((header) => chalk.cyan.bold(header)),
+  });
+  const colors = {
+    sent: chalk.green,
+    reached: chalk.green,
+    not_sent: chalk.red,
+    failed: chalk.red,
+    timeout: chalk.yellow,
+  };
+  plan.servers.forEach((server, index) => {
+    const { result, state, seconds } = results[index];
+    table.push([
+      server.name,
+      colors[result](
+        lang.bulk.results[result].replace("{state}", state || "-"),
+      ),
+      seconds === undefined ? "-" : `${seconds}s`,
+    ]);
+  });
+  return `\n${table.toString()}`;
+}
+
+// --- GRACEFUL POWER FUNCTIONS ---
+
+const GRACEFUL_DEFAULTS = {
+  warnings: [300, 60, 30, 10],
+  command: "say {action} in {time}",
+  saveCommand: "",
+};
+// Gives the save command time to finish writing before the power signal goes out.
+const GRACEFUL_SAVE_DELAY = 5000;
+
+function getGracefulSettings(serverId) {
+  return { ...GRACEFUL_DEFAULTS, ...config.graceful?.[serverId] };
+}
+
+// "5m, 1m, 30s, 10" -> [300, 60, 30, 10], longest first. Returns null if any part is invalid.
+function parseWarningTimes(value) {
+  const times = [];
+  for (const part of value.split(",").map((item) => item.trim())) {
+    const match = part.match(/^(\d+)\s*([ms]?)$/i);
+    if (!match || Number(match[1]) === 0) return null;
+    times.push(Number(match[1]) * (match[2].toLowerCase() === "m" ? 60 : 1));
+  }
+  return [...new Set(times)].sort((a, b) => b - a);
+}
+
+function formatWarningTimes(times) {
+  return times
+    .map((seconds) => (seconds % 60 === 0 ? `${seconds / 60}m` : `${seconds}s`))
+    .join(", ");
+}
+
+// Spelled out for the in-game message, e.g. "5 minutes" or "1 minute 30 seconds".
+function describeCountdown(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds % 60;
+  const parts = [];
+  if (minutes > 0) {
+    parts.push(
+      (minutes === 1 ? lang.graceful.minute : lang.graceful.minutes).replace(
+        "{n}",
+        minutes,
+      ),
+    );
+  }
+  if (rest > 0 || minutes === 0) {
+    parts.push(
+      (rest === 1 ? lang.graceful.second : lang.graceful.seconds).replace(
+        "{n}",
+        rest,
+      ),
+    );
+  }
+  return parts.join(" ");
+}
+
+async function gracefulPowerMenu(serverId) {
+  const current = getGracefulSettings(serverId);
+  const answers = await inquirer.prompt([
+    {
+      type: "list",
+      name: "signal",
+      message: lang.graceful.signal_prompt,
+      choices: [
+        { name: lang.graceful.signals.restart, value: "restart" },
+        { name: lang.graceful.signals.stop, value: "stop" },
+      ],
+    },
+    {
+      type: "input",
+      name: "warnings",
+      message: lang.graceful.warnings_prompt,
+      default: formatWarningTimes(current.warnings),
+      validate: (value) =>
+        parseWarningTimes(value) !== null || lang.graceful.warnings_invalid,
+    },
+    {
+      type: "input",
+      name: "command",
+      message: lang.graceful.command_prompt,
+      default: current.command,
+      validate: (value) =>
+        value.trim().length > 0 || lang.graceful.command_empty,
+    },
+    {
+      type: "input",
+      name: "saveCommand",
+      message: lang.graceful.save_prompt,
+      default: current.saveCommand,
+    },
+  ]);
+
+  const settings = {
+    warnings: parseWarningTimes(answers.warnings),
+    command: answers.command.trim(),
+    saveCommand: answers.saveCommand.trim(),
+  };
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "confirm",
+      message: lang.graceful.confirm
+        .replace("{signal}", lang.graceful.signals[answers.signal])
+        .replace("{time}", describeCountdown(settings.warnings[0])),
+      default: true,
+    },
+  ]);
+  if (!confirm) return;
+
+  // Only remember the settings once they are actually used.
+  config.graceful = { ...config.graceful, [serverId]: settings };
+  saveConfig();
+
+  await runGracefulPower(serverId, answers.signal, settings);
+}
+
+// Counts down over the console websocket, announcing each warning time, then runs the save
+// command and sends the power signal. Resolves to false if the countdown was cancelled or the
+// console could not be reached.
+function runGracefulPower(serverId, signal, settings) {
+  return new Promise((resolve) => {
+    const spinner = createSpinner(false);
+    const pending = [...settings.warnings];
+    const total = pending[0];
+    let deadline = null;
+    let ticker = null;
+    let finished = false;
+
+    const announce = (seconds) => {
+      const command = settings.command
+        .replace(/\{action\}/g, lang.graceful.actions[signal])
+        .replace(/\{time\}/g, describeCountdown(seconds));
+      spinner.log(
+        connection.send("send command", [command])
+          ? chalk.gray(lang.graceful.warning_sent.replace("{command}", command))
+          : chalk.yellow(
+              lang.graceful.warning_failed.replace("{command}", command),
+            ),
+      );
+    };
+
+    const finish = async (completed, message) => {
+      if (finished) return;
+      finished = true;
+      clearInterval(ticker);
+      releaseKeys();
+
+      if (!completed) {
+        connection.close();
+        spinner.stop(message);
+        resolve(false);
+        return;
+      }
+
+      if (settings.saveCommand) {
+        const sent = connection.send("send command", [settings.saveCommand]);
+        spinner.log(
+          sent
+            ? chalk.gray(
+                lang.graceful.save_sent.replace(
+                  "{command}",
+                  settings.saveCommand,
+                ),
+              )
+            : chalk.yellow(
+                lang.graceful.warning_failed.replace(
+                  "{command}",
+                  settings.saveCommand,
+                ),
+              ),
+        );
+        if (sent) {
+          spinner.update(lang.graceful.saving);
+          await new Promise((done) => setTimeout(done, GRACEFUL_SAVE_DELAY));
+        }
+      }
+      connection.close();
+      spinner.stop();
+
+      if (!(await sendPowerAction(serverId, signal))) {
+        resolve(false);
+        return;
+      }
+      const { result } = await waitForServerState(serverId, signal);
+      resolve(result === "reached");
+    };
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      // Warnings that passed while the socket was reconnecting collapse into one announcement.
+      let due = false;
+      while (pending.length > 0 && pending[0] >= remaining) {
+        pending.shift();
+        due = true;
+      }
+      if (due && remaining > 0) announce(remaining);
+      if (remaining === 0) {
+        finish(true);
+        return;
+      }
+      spinner.update(
+        lang.graceful.countdown
+          .replace("{action}", lang.messages.power_actions[signal])
+          .replace("{time}", formatUptime(remaining * 1000)),
+      );
+    };
+
+    const releaseKeys = captureKeypresses((str, key = {}) => {
+      if (isQuitKey(key)) {
+        finish(false, chalk.yellow(lang.graceful.cancelled));
+      }
+    });
+
+    const connection = openServerSocket(serverId, {
+      onReady: ({ first }) => {
+        if (!first) {
+          spinner.log(chalk.green(lang.console.reconnected));
+          return;
+        }
+        deadline = Date.now() + total * 1000;
+        tick();
+        ticker = setInterval(tick, 250);
+      },
+      onReconnecting: (delay, attempt) =>
+        spinner.log(
+          chalk.yellow(
+            lang.console.reconnecting
+              .replace("{seconds}", Math.round(delay / 1000))
+              .replace("{attempt}", attempt),
+          ),
+        ),
+      onError: (text) => spinner.log(chalk.red(text)),
+      onClose: (reason) =>
+        finish(false, chalk.red(reason || lang.graceful.connection_failed)),
+    });
+
+    spinner.update(lang.console.connecting);
+  });
+}
+
+// --- FILE MANAGER FUNCTIONS ---
+
+async function fileManagerMenu(serverId) {
+  let currentPath = "/";
+  while (true) {
+    try {
+      const items = await listDirectory(serverId, currentPath);
+      const choices = [
+        new inquirer.Separator(),
+        { name: lang.fileManager.back_to_main_menu, value: { action: "exit" } },
+        { name: lang.fileManager.upload_file, value: { action: "upload" } },
+        {
+          name: lang.fileManager.upload_folder,
+          value: { action: "upload-dir" },
+        },
+        {
+          name: lang.fileManager.create_directory,
+          value: { action: "create-dir" },
+        },
+        {
+          name: lang.fileManager.archive_selected,
+          value: { action: "archive-selected" },
+        },
+        {
+          name: lang.fileManager.batch_delete,
+          value: { action: "batch-delete" },
+        },
+        {
+          name: lang.fileManager.batch_move,
+          value: { action: "batch-move" },
+        },
+        {
+          name: lang.fileManager.batch_copy,
+          value: { action: "batch-copy" },
+        },
+      ];
+      if (currentPath !== "/") {
+        choices.push({ name: lang.fileManager.go_up, value: { action: "up" } });
+      }
+      choices.push(new inquirer.Separator());
+
+      items.dirs.forEach((dir) =>
+        choices.push({
+          name: `📁 ${dir.name}`,
+          value: { action: "dir", item: dir },
+        }),
+      );
+      items.files.forEach((file) =>
+        choices.push({
           name: `📄 ${file.name}`,
           value: { action: "file", item: file },
         }),
@@ -514,6 +1637,9 @@ async function fileManagerMenu(serverId) {
         case "upload":
           await uploadFile(serverId, currentPath);
           break;
+        case "upload-dir":
+          await promptUploadDirectory(serverId, currentPath);
+          break;
         case "create-dir":
           await createDirectory(serverId, currentPath);
           break;
@@ -551,6 +1677,7 @@ async function handleDirAction(serverId, currentPath, dir) {
       ),
       choices: [
         { name: lang.fileManager.open, value: "open" },
+        { name: lang.fileManager.download_folder, value: "download" },
         { name: lang.fileManager.copy, value: "copy" },
         { name: lang.fileManager.move, value: "move" },
         { name: lang.fileManager.archive || "Archive", value: "archive" },
@@ -562,6 +1689,7 @@ async function handleDirAction(serverId, currentPath, dir) {
     },
   ]);
   if (action === "open") return { action: "open", newPath: dirPath };
+  if (action === "download") await promptDownloadDirectory(serverId, dirPath);
   if (action === "copy") await copyItem(serverId, currentPath, dir);
   if (action === "move") await moveItem(serverId, currentPath, dir);
   if (action === "archive") await archiveItem(serverId, currentPath, dir);
@@ -728,11 +1856,12 @@ async function viewFile(serverId, filePath) {
   }
 }
 
-async function listDirectory(serverId, directory) {
+async function listDirectory(serverId, directory, silent = false) {
   try {
-    console.log(
-      chalk.yellow(lang.fileManager.listing_dir.replace("{dir}", directory)),
-    );
+    if (!silent)
+      console.log(
+        chalk.yellow(lang.fileManager.listing_dir.replace("{dir}", directory)),
+      );
     const { data } = await api.get(
       `/servers/${serverId}/files/list?directory=${encodeURIComponent(directory)}`,
     );
@@ -777,25 +1906,16 @@ async function uploadFile(
       return;
     }
 
-    if (!silent) console.log(chalk.yellow(lang.fileManager.upload_getting_url));
-    const { data } = await api.get(
-      `/servers/${serverId}/files/upload?directory=${encodeURIComponent(currentPath)}`,
-    );
-    const uploadUrl = data.attributes.url;
-    const form = new FormData();
     const fileName = path.basename(filePath);
-    form.append("files", fs.createReadStream(filePath), { filename: fileName });
-    if (!silent)
+    if (!silent) {
+      console.log(chalk.yellow(lang.fileManager.upload_getting_url));
       console.log(
         chalk.yellow(
           lang.fileManager.uploading_file.replace("{fileName}", fileName),
         ),
       );
-    await axios.post(uploadUrl, form, {
-      headers: { ...form.getHeaders() },
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
-    });
+    }
+    await sendFileToDirectory(serverId, currentPath, filePath);
     if (!silent)
       console.log(
         chalk.green(
@@ -814,42 +1934,40 @@ async function uploadFile(
   }
 }
 
-async function downloadFile(serverId, filePath, localSavePath, silent = false) {
+// Uploads one local file into a remote directory. onProgress, if given, receives the number of
+// bytes sent since its last call.
+async function sendFileToDirectory(serverId, remoteDir, filePath, onProgress) {
+  const { data } = await api.get(
+    `/servers/${serverId}/files/upload?directory=${encodeURIComponent(remoteDir)}`,
+  );
+  const size = fs.statSync(filePath).size;
+  let reported = 0;
+  const form = new FormData();
+  form.append("files", fs.createReadStream(filePath), {
+    filename: path.basename(filePath),
+  });
+  await axios.post(data.attributes.url, form, {
+    headers: { ...form.getHeaders() },
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    // "loaded" includes the multipart framing, so cap it at the file size.
+    onUploadProgress:
+      onProgress &&
+      (({ loaded }) => {
+        const next = Math.min(loaded, size);
+        onProgress(next - reported);
+        reported = next;
+      }),
+  });
+  onProgress?.(size - reported);
+}
+
+async function fetchDownloadUrl(serverId, filePath) {
   try {
-    const savePath = localSavePath || path.basename(filePath);
-    if (!silent)
-      console.log(
-        chalk.yellow(
-          lang.fileManager.download_getting_url.replace("{filePath}", filePath),
-        ),
-      );
     const { data } = await api.get(
       `/servers/${serverId}/files/download?file=${encodeURIComponent(filePath)}`,
     );
-    const writer = fs.createWriteStream(savePath);
-    if (!silent) console.log(chalk.yellow(lang.fileManager.downloading_file));
-    const response = await axios.get(data.attributes.url, {
-      responseType: "stream",
-    });
-    response.data.pipe(writer);
-    return new Promise((resolve, reject) => {
-      writer.on("finish", () => {
-        if (!silent)
-          console.log(
-            chalk.green(
-              lang.fileManager.download_success.replace("{fileName}", savePath),
-            ),
-          );
-        resolve();
-      });
-      writer.on("error", (err) =>
-        reject(
-          new Error(
-            lang.fileManager.download_fail.replace("{error}", err.message),
-          ),
-        ),
-      );
-    });
+    return data.attributes.url;
   } catch (error) {
     throw new Error(
       lang.fileManager.download_url_error.replace(
@@ -860,7 +1978,54 @@ async function downloadFile(serverId, filePath, localSavePath, silent = false) {
   }
 }
 
-async function renameItem(serverId, currentPath, item) {
+async function downloadFile(serverId, filePath, localSavePath, silent = false) {
+  const savePath = localSavePath || path.basename(filePath);
+  if (!silent)
+    console.log(
+      chalk.yellow(
+        lang.fileManager.download_getting_url.replace("{filePath}", filePath),
+      ),
+    );
+  const downloadUrl = await fetchDownloadUrl(serverId, filePath);
+
+  if (!silent) console.log(chalk.yellow(lang.fileManager.downloading_file));
+  await saveUrlToFile(downloadUrl, savePath);
+  if (!silent)
+    console.log(
+      chalk.green(
+        lang.fileManager.download_success.replace("{fileName}", savePath),
+      ),
+    );
+}
+
+// Streams a signed download URL (file or backup) straight to disk. onProgress, if given,
+// receives the size of each chunk as it arrives.
+async function saveUrlToFile(url, savePath, onProgress) {
+  let response;
+  try {
+    response = await axios.get(url, { responseType: "stream" });
+  } catch (error) {
+    throw new Error(
+      lang.fileManager.download_fail.replace("{error}", error.message),
+    );
+  }
+  const writer = fs.createWriteStream(savePath);
+  if (onProgress) response.data.on("data", (chunk) => onProgress(chunk.length));
+  response.data.pipe(writer);
+  return new Promise((resolve, reject) => {
+    const fail = (err) =>
+      reject(
+        new Error(
+          lang.fileManager.download_fail.replace("{error}", err.message),
+        ),
+      );
+    writer.on("finish", resolve);
+    writer.on("error", fail);
+    response.data.on("error", fail);
+  });
+}
+
+async function renameItem(serverId, currentPath, item) {
   try {
     const { newName } = await inquirer.prompt([
       {
@@ -1356,115 +2521,5813 @@ async function batchCopy(serverId, currentPath, items) {
   }
 }
 
-// --- CONSOLE FUNCTIONS ---
+// --- RECURSIVE TRANSFER FUNCTIONS ---
 
-function connectToConsole(serverId) {
-  return new Promise(async (resolve) => {
-    console.log(chalk.yellow(lang.console.connecting));
-    const { data } = await api.get(`/servers/${serverId}/websocket`);
-    ws = new WebSocket(data.data.socket, { origin: PANEL_URL });
+const TRANSFER_CONCURRENCY = 4;
+const PROGRESS_BAR_WIDTH = 24;
 
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-      prompt: chalk.cyan("> "),
+// Lists every folder and file below a remote directory. Paths are relative to it, parents first.
+async function walkRemoteDirectory(serverId, remoteDir) {
+  const dirs = [];
+  const files = [];
+  const queue = [""];
+  while (queue.length > 0) {
+    const relative = queue.shift();
+    const items = await listDirectory(
+      serverId,
+      path.join(remoteDir, relative),
+      true,
+    );
+    items.dirs.forEach((dir) => {
+      const child = path.join(relative, dir.name);
+      dirs.push(child);
+      queue.push(child);
     });
+    items.files.forEach((file) =>
+      files.push({ relative: path.join(relative, file.name), size: file.size }),
+    );
+  }
+  return { dirs, files };
+}
 
-    // --- DEBOUNCING LOGIC FOR SMOOTH RENDERING ---
-    let messageBuffer = [];
-    let redrawTimer = null;
+// Same shape as walkRemoteDirectory, for a local folder. Symlinks are followed unless they are
+// broken or lead back into a folder already walked; those entries, and any that cannot be read,
+// are returned in `skipped` instead of aborting the scan.
+function walkLocalDirectory(localDir) {
+  const dirs = [];
+  const files = [];
+  const skipped = [];
+  const visited = new Set([fs.realpathSync(localDir)]);
+  const queue = [""];
+  while (queue.length > 0) {
+    const relative = queue.shift();
+    let names;
+    try {
+      names = fs.readdirSync(path.join(localDir, relative));
+    } catch (error) {
+      skipped.push({ relative, error: error.message });
+      continue;
+    }
+    for (const name of names) {
+      const child = path.join(relative, name);
+      const fullPath = path.join(localDir, child);
+      try {
+        let stats = fs.lstatSync(fullPath);
+        if (stats.isSymbolicLink()) {
+          try {
+            stats = fs.statSync(fullPath);
+          } catch (error) {
+            if (error.code !== "ENOENT" && error.code !== "ELOOP") throw error;
+            skipped.push({ relative: child, error: lang.transfer.broken_link });
+            continue;
+          }
+        }
+        if (stats.isDirectory()) {
+          const realPath = fs.realpathSync(fullPath);
+          if (visited.has(realPath)) {
+            skipped.push({ relative: child, error: lang.transfer.link_loop });
+            continue;
+          }
+          visited.add(realPath);
+          dirs.push(child);
+          queue.push(child);
+        } else if (stats.isFile()) {
+          files.push({ relative: child, size: stats.size });
+        }
+      } catch (error) {
+        skipped.push({ relative: child, error: error.message });
+      }
+    }
+  }
+  return { dirs, files, skipped };
+}
 
-    ws.on("open", () => {
-      console.log(chalk.green(lang.console.connected));
-      // Send auth token
-      ws.send(JSON.stringify({ event: "auth", args: [data.data.token] }));
+// A combined progress bar for many parallel transfers. Without a TTY it prints every 10% instead.
+function createTransferProgress(totalBytes, totalFiles) {
+  const animated = process.stdout.isTTY;
+  const started = Date.now();
+  let bytes = 0;
+  let files = 0;
+  let lastDraw = 0;
+  let lastStep = -1;
+  let printedFiles = -1;
 
-      console.log(chalk.cyan.bold(lang.console.waiting_for_logs));
-      console.log(
-        chalk.cyan.bold(
-          "\n----------------------------------------------------",
+  const ratio = () =>
+    totalBytes > 0
+      ? Math.min(bytes / totalBytes, 1)
+      : files / Math.max(totalFiles, 1);
+
+  const render = () => {
+    const done = ratio();
+    const filled = Math.round(done * PROGRESS_BAR_WIDTH);
+    const elapsed = (Date.now() - started) / 1000;
+    const rate = elapsed > 0 ? bytes / elapsed : 0;
+    const remaining = Math.max(totalBytes - bytes, 0);
+    let eta = "--";
+    if (remaining === 0) eta = "0s";
+    else if (rate > 0) eta = formatUptime((remaining / rate) * 1000);
+    return lang.transfer.progress
+      .replace(
+        "{bar}",
+        chalk.cyan("█".repeat(filled)) +
+          chalk.gray("░".repeat(PROGRESS_BAR_WIDTH - filled)),
+      )
+      .replace("{percent}", Math.floor(done * 100))
+      .replace("{bytes}", formatBytes(bytes))
+      .replace("{total}", formatBytes(totalBytes))
+      .replace("{files}", files)
+      .replace("{totalFiles}", totalFiles)
+      .replace("{rate}", formatBytes(rate))
+      .replace("{eta}", eta);
+  };
+
+  const draw = (force = false) => {
+    // Chunks arrive far more often than the eye can follow; redraw a few times a second.
+    if (!force && Date.now() - lastDraw < 100) return;
+    lastDraw = Date.now();
+    readline.cursorTo(process.stdout, 0);
+    readline.clearLine(process.stdout, 0);
+    process.stdout.write(render());
+  };
+  // Plain output is only written as files finish, so the file count on each line is accurate.
+  const printStep = () => {
+    const step = Math.floor(ratio() * 10);
+    if (step <= lastStep) return;
+    lastStep = step;
+    printedFiles = files;
+    console.log(render());
+  };
+
+  return {
+    add(count) {
+      bytes += count;
+      if (animated) draw();
+    },
+    fileDone() {
+      files++;
+      if (animated) draw(files === totalFiles);
+      else printStep();
+    },
+    log(line) {
+      if (animated) {
+        readline.cursorTo(process.stdout, 0);
+        readline.clearLine(process.stdout, 0);
+      }
+      console.log(line);
+      if (animated) draw(true);
+    },
+    stop() {
+      if (animated) {
+        draw(true);
+        process.stdout.write("\n");
+      } else if (printedFiles !== files) {
+        // Failed files never add their bytes, so the final line may not have been printed yet.
+        console.log(render());
+      }
+      return Math.round((Date.now() - started) / 1000);
+    },
+  };
+}
+
+// Runs transfer(file, progress) for every file with a few in flight at once. Failures are
+// reported and collected rather than stopping the rest.
+async function runTransfers(files, transfer) {
+  const totalBytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+  const progress = createTransferProgress(totalBytes, files.length);
+  const failed = [];
+  await mapWithConcurrency(files, TRANSFER_CONCURRENCY, async (file) => {
+    try {
+      await transfer(file, progress);
+    } catch (error) {
+      failed.push(file.relative);
+      progress.log(
+        chalk.red(
+          lang.transfer.file_failed
+            .replace("{file}", file.relative)
+            .replace("{error}", error.message),
         ),
       );
-      console.log(chalk.bold(lang.console.exit_instruction));
-      rl.prompt();
-    });
+    }
+    progress.fileDone();
+  });
+  const seconds = progress.stop();
+  return { files: files.length, bytes: totalBytes, failed, seconds };
+}
 
-    ws.on("message", (data) => {
-      try {
-        const message = JSON.parse(data);
+function printTransferSummary(summary, successTemplate, target) {
+  if (summary.failed.length > 0) {
+    console.error(
+      chalk.red(
+        lang.transfer.partial
+          .replace("{failed}", summary.failed.length)
+          .replace("{files}", summary.files),
+      ),
+    );
+    return;
+  }
+  console.log(
+    chalk.green(
+      successTemplate
+        .replace("{files}", summary.files)
+        .replace("{bytes}", formatBytes(summary.bytes))
+        .replace("{target}", target)
+        .replace("{seconds}", summary.seconds),
+    ),
+  );
+}
 
-        // Ignore status updates completely
-        if (message.event === "status") {
-          return;
-        }
+// Mirrors a remote directory into a local folder, creating the folder structure first.
+async function downloadDirectory(serverId, remoteDir, localDir) {
+  const target = localDir || path.basename(remoteDir) || "server";
+  console.log(
+    chalk.yellow(lang.transfer.scanning_remote.replace("{path}", remoteDir)),
+  );
+  const { dirs, files } = await walkRemoteDirectory(serverId, remoteDir);
 
-        if (message.event === "console output") {
-          messageBuffer.push(message.args[0]);
-        }
-      } catch (e) {
-        // Buffer non-JSON data as well (e.g., startup logs)
-        messageBuffer.push(data.toString());
-      }
+  fs.mkdirSync(target, { recursive: true });
+  dirs.forEach((dir) =>
+    fs.mkdirSync(path.join(target, dir), { recursive: true }),
+  );
 
-      // If a redraw is already scheduled, cancel it.
-      if (redrawTimer) {
-        clearTimeout(redrawTimer);
-      }
+  const summary = await runTransfers(files, async (file, progress) => {
+    const url = await fetchDownloadUrl(
+      serverId,
+      path.join(remoteDir, file.relative),
+    );
+    await saveUrlToFile(url, path.join(target, file.relative), (count) =>
+      progress.add(count),
+    );
+  });
+  printTransferSummary(summary, lang.transfer.download_success, target);
+  return summary;
+}
 
-      // Schedule a redraw in 50ms.
-      redrawTimer = setTimeout(() => {
-        if (messageBuffer.length > 0) {
-          // Clear the user's current line
-          readline.cursorTo(process.stdout, 0);
-          readline.clearLine(process.stdout, 1);
+// Mirrors a local folder into a remote directory as <remoteDir>/<folder name>.
+async function uploadDirectory(serverId, localDir, remoteDir) {
+  const root = path.join(remoteDir, path.basename(path.resolve(localDir)));
+  console.log(
+    chalk.yellow(lang.transfer.scanning_local.replace("{path}", localDir)),
+  );
+  const { dirs, files, skipped } = walkLocalDirectory(localDir);
+  skipped.forEach((entry) =>
+    console.error(
+      chalk.red(
+        lang.transfer.file_failed
+          .replace("{file}", entry.relative || ".")
+          .replace("{error}", entry.error),
+      ),
+    ),
+  );
 
-          // Write all buffered messages in one go
-          process.stdout.write(messageBuffer.join(""));
+  // Folders are created one by one, parents first, before any file needs them.
+  for (const dir of ["", ...dirs]) {
+    const remotePath = path.join(root, dir);
+    try {
+      await api.post(`/servers/${serverId}/files/create-folder`, {
+        root: path.dirname(remotePath),
+        name: path.basename(remotePath),
+      });
+    } catch (error) {
+      throw new Error(
+        lang.fileManager.create_dir_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      );
+    }
+  }
 
-          // Add a newline if the last message didn't have one
-          if (!messageBuffer[messageBuffer.length - 1].endsWith("\n")) {
-            process.stdout.write("\n");
-          }
+  const summary = await runTransfers(files, (file, progress) =>
+    sendFileToDirectory(
+      serverId,
+      path.join(root, path.dirname(file.relative)),
+      path.join(localDir, file.relative),
+      (count) => progress.add(count),
+    ),
+  );
+  // Skipped entries count as failures so the summary and exit code reflect them.
+  summary.files += skipped.length;
+  summary.failed.push(...skipped.map((entry) => entry.relative));
+  printTransferSummary(summary, lang.transfer.upload_success, root);
+  return summary;
+}
 
-          // Clear the buffer
-          messageBuffer = [];
-        }
+async function promptDownloadDirectory(serverId, remoteDir) {
+  const { localDir } = await inquirer.prompt([
+    {
+      type: "input",
+      name: "localDir",
+      message: lang.transfer.download_prompt,
+      default: path.basename(remoteDir),
+    },
+  ]);
+  try {
+    await downloadDirectory(serverId, remoteDir, localDir.trim());
+  } catch (error) {
+    console.error(
+      chalk.red(lang.transfer.error.replace("{error}", error.message)),
+    );
+  }
+}
 
-        // Redraw the prompt
-        rl.prompt(true);
-      }, 50);
-    });
+async function promptUploadDirectory(serverId, remoteDir) {
+  const { localDir } = await inquirer.prompt([
+    {
+      type: "input",
+      name: "localDir",
+      message: lang.transfer.upload_prompt,
+      validate: (value) =>
+        (value.trim() !== "" &&
+          fs.existsSync(value.trim()) &&
+          fs.statSync(value.trim()).isDirectory()) ||
+        lang.transfer.upload_not_found,
+    },
+  ]);
+  try {
+    await uploadDirectory(serverId, localDir.trim(), remoteDir);
+  } catch (error) {
+    console.error(
+      chalk.red(lang.transfer.error.replace("{error}", error.message)),
+    );
+  }
+}
 
-    ws.on("error", (error) => {
+// --- BACKUP FUNCTIONS ---
+
+async function backupsMenu(serverId) {
+  while (true) {
+    let backups;
+    try {
+      console.log(chalk.yellow(lang.backups.fetching));
+      backups = await fetchAllPages(`/servers/${serverId}/backups`);
+    } catch (error) {
       console.error(
         chalk.red(
-          lang.console.connection_error.replace("{error}", error.message),
+          lang.backups.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
         ),
       );
-      rl.close();
-      resolve();
-    });
+      return;
+    }
 
-    ws.on("close", () => {
-      console.log(chalk.cyan.bold(lang.console.connection_closed));
-      rl.close();
-      resolve();
-    });
+    displayBackupsTable(backups);
 
-    rl.on("line", (line) => {
-      const command = line.trim();
-      if (command.toLowerCase() === "!exit") {
-        ws.close();
-      } else if (ws?.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify({ event: "send command", args: [command] }));
-        rl.prompt();
-      }
-    }).on("close", () => {
-      if (ws?.readyState === WebSocket.OPEN) {
-        ws.close();
-      }
-    });
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: chalk.bold(lang.backups.title),
+        choices: [
+          { name: lang.backups.back, value: { action: "exit" } },
+          { name: lang.backups.create, value: { action: "create" } },
+          { name: lang.backups.refresh, value: { action: "refresh" } },
+          new inquirer.Separator(),
+          ...backups.map((backup) => ({
+            name: `${backup.is_locked ? "🔒" : "🗄️"} ${backup.name} (${chalk.gray(formatDate(backup.created_at))})`,
+            value: { action: "backup", backup },
+          })),
+        ],
+        pageSize: 20,
+      },
+    ]);
+
+    switch (selected.action) {
+      case "exit":
+        return;
+      case "create":
+        await createBackup(serverId);
+        break;
+      case "backup":
+        await handleBackupAction(serverId, selected.backup);
+        break;
+    }
+  }
+}
+
+function displayBackupsTable(backups) {
+  if (backups.length === 0) {
+    console.log(chalk.yellow(lang.backups.no_backups));
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      lang.backups.header_name,
+      lang.backups.header_size,
+      lang.backups.header_checksum,
+      lang.backups.header_created,
+      lang.backups.header_locked,
+      lang.backups.header_successful,
+    ].map((header) => chalk.cyan.bold(header)),
+  });
+
+  backups.forEach((backup) => {
+    let successText;
+    if (!backup.completed_at) {
+      successText = chalk.yellow(lang.backups.in_progress);
+    } else if (backup.is_successful) {
+      successText = chalk.green(lang.backups.yes);
+    } else {
+      successText = chalk.red(lang.backups.no);
+    }
+    table.push([
+      backup.name,
+      formatBytes(backup.bytes),
+      chalk.gray(
+        backup.checksum && backup.checksum.length > 20
+          ? `${backup.checksum.substring(0, 20)}…`
+          : backup.checksum || "-",
+      ),
+      formatDate(backup.created_at),
+      backup.is_locked ? chalk.yellow(lang.backups.yes) : lang.backups.no,
+      successText,
+    ]);
   });
+
+  console.log(table.toString() + "\n");
+}
+
+async function handleBackupAction(serverId, backup) {
+  const { action } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "action",
+      message: lang.backups.actions_prompt.replace(
+        "{name}",
+        chalk.cyan(backup.name),
+      ),
+      choices: [
+        { name: lang.backups.download, value: "download" },
+        {
+          name: backup.is_locked ? lang.backups.unlock : lang.backups.lock,
+          value: "lock",
+        },
+        { name: chalk.yellow(lang.backups.restore), value: "restore" },
+        { name: chalk.red(lang.backups.delete), value: "delete" },
+        new inquirer.Separator(),
+        { name: lang.fileManager.cancel, value: "cancel" },
+      ],
+    },
+  ]);
+
+  switch (action) {
+    case "download":
+      await downloadBackup(serverId, backup);
+      break;
+    case "lock":
+      await toggleBackupLock(serverId, backup);
+      break;
+    case "restore":
+      await restoreBackup(serverId, backup);
+      break;
+    case "delete":
+      await deleteBackup(serverId, backup);
+      break;
+  }
+}
+
+async function createBackup(serverId) {
+  try {
+    const { name, ignored, isLocked } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "name",
+        message: lang.backups.name_prompt,
+      },
+      {
+        type: "input",
+        name: "ignored",
+        message: lang.backups.ignored_prompt,
+      },
+      {
+        type: "confirm",
+        name: "isLocked",
+        message: lang.backups.lock_prompt,
+        default: false,
+      },
+    ]);
+
+    console.log(chalk.yellow(lang.backups.creating));
+    await api.post(`/servers/${serverId}/backups`, {
+      name: name.trim() || undefined,
+      // The panel expects one ignore pattern per line.
+      ignored: ignored
+        .split(",")
+        .map((pattern) => pattern.trim())
+        .filter(Boolean)
+        .join("\n"),
+      is_locked: isLocked,
+    });
+    console.log(chalk.green(lang.backups.create_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.backups.create_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
 }
 
-main();
+async function toggleBackupLock(serverId, backup) {
+  try {
+    await api.post(`/servers/${serverId}/backups/${backup.uuid}/lock`);
+    console.log(
+      chalk.green(
+        backup.is_locked
+          ? lang.backups.unlock_success
+          : lang.backups.lock_success,
+      ),
+    );
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.backups.lock_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function restoreBackup(serverId, backup) {
+  try {
+    const { confirm, truncate } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: lang.backups.restore_confirm.replace(
+          "{name}",
+          chalk.yellow.bold(backup.name),
+        ),
+        default: false,
+      },
+      {
+        type: "confirm",
+        name: "truncate",
+        message: lang.backups.truncate_prompt,
+        default: false,
+        when: (answers) => answers.confirm,
+      },
+    ]);
+    if (!confirm) {
+      console.log(lang.backups.restore_cancelled);
+      return;
+    }
+
+    console.log(chalk.yellow(lang.backups.restoring));
+    await api.post(`/servers/${serverId}/backups/${backup.uuid}/restore`, {
+      truncate,
+    });
+    console.log(chalk.green(lang.backups.restore_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.backups.restore_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function deleteBackup(serverId, backup) {
+  try {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: lang.backups.delete_confirm.replace(
+          "{name}",
+          chalk.yellow.bold(backup.name),
+        ),
+        default: false,
+      },
+    ]);
+    if (!confirm) {
+      console.log(lang.fileManager.delete_cancelled);
+      return;
+    }
+
+    console.log(chalk.yellow(lang.backups.deleting));
+    await api.delete(`/servers/${serverId}/backups/${backup.uuid}`);
+    console.log(chalk.green(lang.backups.delete_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.backups.delete_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function downloadBackup(serverId, backup) {
+  const { savePath } = await inquirer.prompt([
+    {
+      type: "input",
+      name: "savePath",
+      message: lang.backups.save_prompt,
+      default: `${backup.name.replace(/[^\w.-]+/g, "_")}.tar.gz`,
+    },
+  ]);
+
+  let url;
+  try {
+    console.log(chalk.yellow(lang.backups.download_getting_url));
+    const { data } = await api.get(
+      `/servers/${serverId}/backups/${backup.uuid}/download`,
+    );
+    url = data.attributes.url;
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.backups.download_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+    return;
+  }
+
+  // saveUrlToFile already wraps its errors in fileManager.download_fail; print them as they are.
+  try {
+    console.log(chalk.yellow(lang.fileManager.downloading_file));
+    await saveUrlToFile(url, savePath);
+    console.log(
+      chalk.green(
+        lang.fileManager.download_success.replace("{fileName}", savePath),
+      ),
+    );
+  } catch (error) {
+    console.error(chalk.red(error.message));
+  }
+}
+
+// --- SCHEDULE FUNCTIONS ---
+
+// Field order matches a standard crontab line: minute hour day month weekday.
+const CRON_FIELDS = [
+  { key: "minute", min: 0, max: 59 },
+  { key: "hour", min: 0, max: 23 },
+  { key: "day_of_month", min: 1, max: 31 },
+  { key: "month", min: 1, max: 12, names: "month_names" },
+  { key: "day_of_week", min: 0, max: 7, names: "day_names" },
+];
+
+const CRON_NAME_ALIASES = {
+  month: [
+    "JAN",
+    "FEB",
+    "MAR",
+    "APR",
+    "MAY",
+    "JUN",
+    "JUL",
+    "AUG",
+    "SEP",
+    "OCT",
+    "NOV",
+    "DEC",
+  ],
+  day_of_week: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"],
+};
+
+function parseCronValue(field, value) {
+  const aliases = CRON_NAME_ALIASES[field.key];
+  if (aliases && aliases.includes(value.toUpperCase())) {
+    return (
+      aliases.indexOf(value.toUpperCase()) + (field.key === "month" ? 1 : 0)
+    );
+  }
+  if (!/^\d+$/.test(value)) return NaN;
+  return Number(value);
+}
+
+function validateCronField(fieldKey, value) {
+  const field = CRON_FIELDS.find((f) => f.key === fieldKey);
+  const expression = value.trim();
+  if (!expression) return lang.schedules.cron_empty;
+
+  for (const part of expression.split(",")) {
+    const segments = part.split("/");
+    if (segments.length > 2) {
+      return lang.schedules.cron_invalid_step.replace("{value}", part);
+    }
+    const [range, step] = segments;
+    if (step !== undefined && (!/^\d+$/.test(step) || Number(step) === 0)) {
+      return lang.schedules.cron_invalid_step.replace("{value}", part);
+    }
+    if (range === "*") continue;
+
+    const bounds = range.split("-");
+    if (bounds.length > 2) {
+      return lang.schedules.cron_invalid.replace("{value}", part);
+    }
+    const numbers = bounds.map((bound) => parseCronValue(field, bound));
+    if (numbers.some((n) => Number.isNaN(n))) {
+      return lang.schedules.cron_invalid.replace("{value}", part);
+    }
+    if (numbers.some((n) => n < field.min || n > field.max)) {
+      return lang.schedules.cron_out_of_range
+        .replace("{value}", part)
+        .replace("{min}", field.min)
+        .replace("{max}", field.max);
+    }
+    if (numbers.length === 2 && numbers[0] > numbers[1]) {
+      return lang.schedules.cron_invalid.replace("{value}", part);
+    }
+  }
+  return true;
+}
+
+function formatCronExpression(cron) {
+  return CRON_FIELDS.map((field) => cron[field.key]).join(" ");
+}
+
+// Swaps numbers (and aliases like MON) in a field for their localized names.
+function nameCronValues(field, expression) {
+  const names = lang.schedules.cron_describe[field.names];
+  return expression
+    .replace(/[A-Za-z]{3}|\d+/g, (token, offset) => {
+      if (expression[offset - 1] === "/") return token;
+      const value = parseCronValue(field, token);
+      const index = field.key === "month" ? value - 1 : value % 7;
+      return names[index] || token;
+    })
+    .replace(/,/g, ", ");
+}
+
+function describeCron(cron) {
+  const text = lang.schedules.cron_describe;
+  const monthField = CRON_FIELDS.find((field) => field.key === "month");
+  const dowField = CRON_FIELDS.find((field) => field.key === "day_of_week");
+  const minute = cron.minute.trim();
+  const hour = cron.hour.trim();
+  const parts = [];
+
+  if (/^\d+$/.test(minute) && /^\d+$/.test(hour)) {
+    parts.push(
+      text.at_time.replace(
+        "{time}",
+        `${hour.padStart(2, "0")}:${minute.padStart(2, "0")}`,
+      ),
+    );
+  } else if (minute === "*" && hour === "*") {
+    parts.push(text.every_minute);
+  } else if (/^\*\/\d+$/.test(minute) && hour === "*") {
+    parts.push(text.every_n_minutes.replace("{n}", minute.split("/")[1]));
+  } else if (/^\d+$/.test(minute) && hour === "*") {
+    parts.push(text.at_minute_every_hour.replace("{minute}", minute));
+  } else if (/^\d+$/.test(minute) && /^\*\/\d+$/.test(hour)) {
+    parts.push(
+      text.at_minute_every_n_hours
+        .replace("{minute}", minute)
+        .replace("{n}", hour.split("/")[1]),
+    );
+  } else {
+    parts.push(
+      text.generic_time.replace("{minute}", minute).replace("{hour}", hour),
+    );
+  }
+
+  const dom = cron.day_of_month.trim();
+  const dow = cron.day_of_week.trim();
+  if (dom === "*" && dow === "*") {
+    parts.push(text.every_day);
+  } else {
+    if (dom !== "*") parts.push(text.on_days_of_month.replace("{days}", dom));
+    if (dow !== "*") {
+      parts.push(
+        text.on_weekdays.replace("{days}", nameCronValues(dowField, dow)),
+      );
+    }
+  }
+
+  const month = cron.month.trim();
+  if (month !== "*") {
+    parts.push(
+      text.in_months.replace("{months}", nameCronValues(monthField, month)),
+    );
+  }
+
+  return parts.join(", ");
+}
+
+async function fetchSchedules(serverId) {
+  const { data } = await api.get(`/servers/${serverId}/schedules`);
+  return data.data.map((item) => item.attributes);
+}
+
+function getScheduleTasks(schedule) {
+  return (schedule.relationships?.tasks?.data || [])
+    .map((task) => task.attributes)
+    .sort((a, b) => a.sequence_id - b.sequence_id);
+}
+
+async function schedulesMenu(serverId) {
+  while (true) {
+    let schedules;
+    try {
+      console.log(chalk.yellow(lang.schedules.fetching));
+      schedules = await fetchSchedules(serverId);
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.schedules.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return;
+    }
+
+    displaySchedulesTable(schedules);
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: chalk.bold(lang.schedules.title),
+        choices: [
+          { name: lang.schedules.back, value: { action: "exit" } },
+          { name: lang.schedules.create, value: { action: "create" } },
+          { name: lang.schedules.refresh, value: { action: "refresh" } },
+          new inquirer.Separator(),
+          ...schedules.map((schedule) => ({
+            name: `${schedule.is_active ? "🟢" : "⚪"} ${schedule.name} (${chalk.gray(formatCronExpression(schedule.cron))})`,
+            value: { action: "schedule", schedule },
+          })),
+        ],
+        pageSize: 20,
+      },
+    ]);
+
+    switch (selected.action) {
+      case "exit":
+        return;
+      case "create":
+        await saveSchedule(serverId);
+        break;
+      case "schedule":
+        await handleScheduleAction(serverId, selected.schedule);
+        break;
+    }
+  }
+}
+
+function displaySchedulesTable(schedules) {
+  if (schedules.length === 0) {
+    console.log(chalk.yellow(lang.schedules.no_schedules));
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      lang.schedules.header_name,
+      lang.schedules.header_cron,
+      lang.schedules.header_description,
+      lang.schedules.header_next_run,
+      lang.schedules.header_active,
+      lang.schedules.header_tasks,
+    ].map((header) => chalk.cyan.bold(header)),
+    colWidths: [null, null, 36],
+    wordWrap: true,
+  });
+
+  schedules.forEach((schedule) => {
+    table.push([
+      schedule.name,
+      chalk.gray(formatCronExpression(schedule.cron)),
+      describeCron(schedule.cron),
+      schedule.is_processing
+        ? chalk.yellow(lang.schedules.processing)
+        : formatDate(schedule.next_run_at),
+      schedule.is_active
+        ? chalk.green(lang.backups.yes)
+        : chalk.red(lang.backups.no),
+      getScheduleTasks(schedule).length,
+    ]);
+  });
+
+  console.log(table.toString() + "\n");
+}
+
+async function handleScheduleAction(serverId, schedule) {
+  const { action } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "action",
+      message: lang.schedules.actions_prompt.replace(
+        "{name}",
+        chalk.cyan(schedule.name),
+      ),
+      choices: [
+        { name: lang.schedules.tasks, value: "tasks" },
+        { name: lang.schedules.edit, value: "edit" },
+        { name: lang.schedules.run_now, value: "run" },
+        { name: chalk.red(lang.schedules.delete), value: "delete" },
+        new inquirer.Separator(),
+        { name: lang.fileManager.cancel, value: "cancel" },
+      ],
+    },
+  ]);
+
+  switch (action) {
+    case "tasks":
+      await tasksMenu(serverId, schedule.id);
+      break;
+    case "edit":
+      await saveSchedule(serverId, schedule);
+      break;
+    case "run":
+      await runSchedule(serverId, schedule);
+      break;
+    case "delete":
+      await deleteSchedule(serverId, schedule);
+      break;
+  }
+}
+
+// Creates a new schedule, or updates `schedule` when one is given.
+async function saveSchedule(serverId, schedule) {
+  const cron = schedule?.cron || {
+    minute: "0",
+    hour: "*",
+    day_of_month: "*",
+    month: "*",
+    day_of_week: "*",
+  };
+
+  try {
+    const answers = await inquirer.prompt([
+      {
+        type: "input",
+        name: "name",
+        message: lang.schedules.name_prompt,
+        default: schedule?.name,
+        validate: (value) =>
+          (value && value.trim().length > 0) || lang.schedules.name_empty,
+      },
+      ...CRON_FIELDS.map((field) => ({
+        type: "input",
+        name: field.key,
+        message: lang.schedules.cron_prompts[field.key],
+        default: cron[field.key],
+        validate: (value) => validateCronField(field.key, value),
+      })),
+      {
+        type: "confirm",
+        name: "is_active",
+        message: lang.schedules.active_prompt,
+        default: schedule ? schedule.is_active : true,
+      },
+      {
+        type: "confirm",
+        name: "only_when_online",
+        message: lang.schedules.only_when_online_prompt,
+        default: schedule ? schedule.only_when_online : false,
+      },
+    ]);
+
+    const payload = { ...answers, name: answers.name.trim() };
+    CRON_FIELDS.forEach((field) => {
+      payload[field.key] = answers[field.key].trim();
+    });
+    console.log(
+      chalk.cyan(
+        lang.schedules.runs.replace("{description}", describeCron(payload)),
+      ),
+    );
+
+    console.log(chalk.yellow(lang.schedules.saving));
+    if (schedule) {
+      await api.post(`/servers/${serverId}/schedules/${schedule.id}`, payload);
+    } else {
+      await api.post(`/servers/${serverId}/schedules`, payload);
+    }
+    console.log(chalk.green(lang.schedules.save_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.schedules.save_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function runSchedule(serverId, schedule) {
+  try {
+    console.log(chalk.yellow(lang.schedules.running));
+    await api.post(`/servers/${serverId}/schedules/${schedule.id}/execute`);
+    console.log(chalk.green(lang.schedules.run_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.schedules.run_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function deleteSchedule(serverId, schedule) {
+  try {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: lang.schedules.delete_confirm.replace(
+          "{name}",
+          chalk.yellow.bold(schedule.name),
+        ),
+        default: false,
+      },
+    ]);
+    if (!confirm) {
+      console.log(lang.fileManager.delete_cancelled);
+      return;
+    }
+
+    console.log(chalk.yellow(lang.schedules.deleting));
+    await api.delete(`/servers/${serverId}/schedules/${schedule.id}`);
+    console.log(chalk.green(lang.schedules.delete_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.schedules.delete_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+function formatTaskPayload(task) {
+  if (task.action === "power") {
+    return lang.messages.power_actions[task.payload] || task.payload;
+  }
+  if (task.action === "backup") {
+    return task.payload
+      ? lang.schedules.task_backup_ignoring.replace(
+          "{files}",
+          task.payload.split("\n").join(", "),
+        )
+      : "-";
+  }
+  return task.payload;
+}
+
+async function tasksMenu(serverId, scheduleId) {
+  while (true) {
+    let schedule;
+    try {
+      const { data } = await api.get(
+        `/servers/${serverId}/schedules/${scheduleId}`,
+      );
+      schedule = data.attributes;
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.schedules.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return;
+    }
+
+    const tasks = getScheduleTasks(schedule);
+    if (tasks.length === 0) {
+      console.log(chalk.yellow(lang.schedules.no_tasks));
+    } else {
+      const table = new Table({
+        head: [
+          "#",
+          lang.schedules.header_action,
+          lang.schedules.header_payload,
+          lang.schedules.header_offset,
+          lang.schedules.header_continue,
+        ].map((header) => chalk.cyan.bold(header)),
+      });
+      tasks.forEach((task) =>
+        table.push([
+          task.sequence_id,
+          lang.schedules.task_actions[task.action] || task.action,
+          formatTaskPayload(task),
+          `${task.time_offset}s`,
+          task.continue_on_failure ? lang.backups.yes : lang.backups.no,
+        ]),
+      );
+      console.log(table.toString() + "\n");
+    }
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: chalk.bold(
+          lang.schedules.tasks_title.replace(
+            "{name}",
+            chalk.cyan(schedule.name),
+          ),
+        ),
+        choices: [
+          { name: lang.settings.back, value: { action: "exit" } },
+          { name: lang.schedules.add_task, value: { action: "add" } },
+          new inquirer.Separator(),
+          ...tasks.map((task) => ({
+            name: `#${task.sequence_id} ${lang.schedules.task_actions[task.action] || task.action}: ${formatTaskPayload(task)}`,
+            value: { action: "task", task },
+          })),
+        ],
+        pageSize: 20,
+      },
+    ]);
+
+    if (selected.action === "exit") return;
+    if (selected.action === "add") {
+      await saveTask(serverId, schedule);
+      continue;
+    }
+
+    const { taskAction } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "taskAction",
+        message: lang.schedules.task_actions_prompt.replace(
+          "{sequence}",
+          selected.task.sequence_id,
+        ),
+        choices: [
+          { name: lang.schedules.edit_task, value: "edit" },
+          { name: chalk.red(lang.schedules.delete_task), value: "delete" },
+          new inquirer.Separator(),
+          { name: lang.fileManager.cancel, value: "cancel" },
+        ],
+      },
+    ]);
+    if (taskAction === "edit")
+      await saveTask(serverId, schedule, selected.task);
+    if (taskAction === "delete") {
+      await deleteTask(serverId, schedule, selected.task);
+    }
+  }
+}
+
+// Creates a new task on `schedule`, or updates `task` when one is given.
+async function saveTask(serverId, schedule, task) {
+  try {
+    const answers = await inquirer.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: lang.schedules.task_action_prompt,
+        choices: ["command", "power", "backup"].map((action) => ({
+          name: lang.schedules.task_actions[action],
+          value: action,
+        })),
+        default: task?.action,
+      },
+      {
+        type: "input",
+        name: "payload",
+        message: lang.schedules.task_command_prompt,
+        default: task?.action === "command" ? task.payload : undefined,
+        when: (answers) => answers.action === "command",
+        validate: (value) =>
+          (value && value.trim().length > 0) || lang.schedules.command_empty,
+      },
+      {
+        type: "list",
+        name: "payload",
+        message: lang.schedules.task_power_prompt,
+        choices: ["start", "stop", "restart", "kill"].map((signal) => ({
+          name: lang.messages.power_actions[signal],
+          value: signal,
+        })),
+        default: task?.action === "power" ? task.payload : undefined,
+        when: (answers) => answers.action === "power",
+      },
+      {
+        type: "input",
+        name: "payload",
+        message: lang.backups.ignored_prompt,
+        default:
+          task?.action === "backup"
+            ? task.payload.split("\n").join(", ")
+            : undefined,
+        when: (answers) => answers.action === "backup",
+        filter: (value) =>
+          value
+            .split(",")
+            .map((pattern) => pattern.trim())
+            .filter(Boolean)
+            .join("\n"),
+      },
+      {
+        type: "number",
+        name: "time_offset",
+        message: lang.schedules.task_offset_prompt,
+        default: task ? task.time_offset : 0,
+        validate: (value) =>
+          (Number.isInteger(value) && value >= 0 && value <= 900) ||
+          lang.schedules.task_offset_invalid,
+      },
+      {
+        type: "confirm",
+        name: "continue_on_failure",
+        message: lang.schedules.task_continue_prompt,
+        default: task ? task.continue_on_failure : false,
+      },
+    ]);
+
+    const endpoint = `/servers/${serverId}/schedules/${schedule.id}/tasks`;
+    console.log(chalk.yellow(lang.schedules.saving_task));
+    if (task) {
+      await api.post(`${endpoint}/${task.id}`, answers);
+    } else {
+      await api.post(endpoint, answers);
+    }
+    console.log(chalk.green(lang.schedules.save_task_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.schedules.save_task_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function deleteTask(serverId, schedule, task) {
+  try {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: lang.schedules.delete_task_confirm.replace(
+          "{sequence}",
+          task.sequence_id,
+        ),
+        default: false,
+      },
+    ]);
+    if (!confirm) {
+      console.log(lang.fileManager.delete_cancelled);
+      return;
+    }
+
+    await api.delete(
+      `/servers/${serverId}/schedules/${schedule.id}/tasks/${task.id}`,
+    );
+    console.log(chalk.green(lang.schedules.delete_task_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.schedules.delete_task_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+// --- DATABASE FUNCTIONS ---
+
+async function fetchDatabases(serverId, includePassword = false) {
+  const { data } = await api.get(
+    `/servers/${serverId}/databases${includePassword ? "?include=password" : ""}`,
+  );
+  return data.data.map((item) => item.attributes);
+}
+
+function getDatabasePassword(database) {
+  return database.relationships?.password?.attributes?.password;
+}
+
+async function databasesMenu(serverId) {
+  while (true) {
+    let databases;
+    try {
+      console.log(chalk.yellow(lang.databases.fetching));
+      databases = await fetchDatabases(serverId);
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.databases.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return;
+    }
+
+    if (databases.length === 0) {
+      console.log(chalk.yellow(lang.databases.no_databases));
+    } else {
+      const table = new Table({
+        head: [
+          lang.databases.header_host,
+          lang.databases.header_name,
+          lang.databases.header_username,
+          lang.databases.header_connections_from,
+        ].map((header) => chalk.cyan.bold(header)),
+      });
+      databases.forEach((database) =>
+        table.push([
+          `${database.host.address}:${database.host.port}`,
+          database.name,
+          database.username,
+          database.connections_from,
+        ]),
+      );
+      console.log(table.toString() + "\n");
+    }
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: chalk.bold(lang.databases.title),
+        choices: [
+          { name: lang.databases.back, value: { action: "exit" } },
+          { name: lang.databases.create, value: { action: "create" } },
+          new inquirer.Separator(),
+          ...databases.map((database) => ({
+            name: `🛢️ ${database.name} (${chalk.gray(database.username)})`,
+            value: { action: "database", database },
+          })),
+        ],
+        pageSize: 20,
+      },
+    ]);
+
+    switch (selected.action) {
+      case "exit":
+        return;
+      case "create":
+        await createDatabase(serverId);
+        break;
+      case "database":
+        await handleDatabaseAction(serverId, selected.database);
+        break;
+    }
+  }
+}
+
+async function handleDatabaseAction(serverId, database) {
+  const { action } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "action",
+      message: lang.databases.actions_prompt.replace(
+        "{name}",
+        chalk.cyan(database.name),
+      ),
+      choices: [
+        { name: lang.databases.reveal_password, value: "reveal" },
+        { name: lang.databases.connection_string, value: "connection" },
+        { name: chalk.yellow(lang.databases.rotate_password), value: "rotate" },
+        { name: chalk.red(lang.databases.delete), value: "delete" },
+        new inquirer.Separator(),
+        { name: lang.fileManager.cancel, value: "cancel" },
+      ],
+    },
+  ]);
+
+  switch (action) {
+    case "reveal":
+    case "connection":
+      await showDatabaseCredentials(
+        serverId,
+        database,
+        action === "connection",
+      );
+      break;
+    case "rotate":
+      await rotateDatabasePassword(serverId, database);
+      break;
+    case "delete":
+      await deleteDatabase(serverId, database);
+      break;
+  }
+}
+
+async function createDatabase(serverId) {
+  try {
+    const { database, remote } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "database",
+        message: lang.databases.name_prompt,
+        validate: (value) =>
+          /^[A-Za-z0-9_-]{1,48}$/.test(value.trim()) ||
+          lang.databases.name_invalid,
+      },
+      {
+        type: "input",
+        name: "remote",
+        message: lang.databases.remote_prompt,
+        default: "%",
+        validate: (value) =>
+          /^[0-9%.]+$/.test(value.trim()) || lang.databases.remote_invalid,
+      },
+    ]);
+
+    console.log(chalk.yellow(lang.databases.creating));
+    await api.post(`/servers/${serverId}/databases`, {
+      database: database.trim(),
+      remote: remote.trim(),
+    });
+    console.log(chalk.green(lang.databases.create_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.databases.create_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+function buildConnectionStrings(database, password) {
+  const { address, port } = database.host;
+  const user = encodeURIComponent(database.username);
+  const pass = encodeURIComponent(password);
+  return {
+    jdbc: `jdbc:mysql://${address}:${port}/${database.name}?user=${user}&password=${pass}`,
+    mysql: `mysql://${user}:${pass}@${address}:${port}/${database.name}`,
+  };
+}
+
+async function showDatabaseCredentials(serverId, database, asConnectionString) {
+  try {
+    // Passwords are only returned when explicitly requested.
+    const withPassword = (await fetchDatabases(serverId, true)).find(
+      (item) => item.id === database.id,
+    );
+    const password = withPassword && getDatabasePassword(withPassword);
+    if (!password) {
+      console.error(chalk.red(lang.databases.password_unavailable));
+      return;
+    }
+
+    if (asConnectionString) {
+      const { jdbc, mysql } = buildConnectionStrings(database, password);
+      console.log(chalk.bold(`\n${lang.databases.jdbc_label}`));
+      console.log(jdbc);
+      console.log(chalk.bold(lang.databases.mysql_label));
+      console.log(mysql + "\n");
+    } else {
+      console.log(
+        chalk.green(
+          lang.databases.password_reveal
+            .replace("{username}", database.username)
+            .replace("{password}", chalk.bold(password)),
+        ),
+      );
+    }
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.databases.fetch_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function rotateDatabasePassword(serverId, database) {
+  try {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: lang.databases.rotate_confirm.replace(
+          "{name}",
+          chalk.yellow.bold(database.name),
+        ),
+        default: false,
+      },
+    ]);
+    if (!confirm) return;
+
+    console.log(chalk.yellow(lang.databases.rotating));
+    const { data } = await api.post(
+      `/servers/${serverId}/databases/${database.id}/rotate-password`,
+    );
+    console.log(chalk.green(lang.databases.rotate_success));
+    const password = getDatabasePassword(data.attributes);
+    if (password) {
+      console.log(
+        chalk.green(
+          lang.databases.password_reveal
+            .replace("{username}", database.username)
+            .replace("{password}", chalk.bold(password)),
+        ),
+      );
+    }
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.databases.rotate_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function deleteDatabase(serverId, database) {
+  try {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: lang.databases.delete_confirm.replace(
+          "{name}",
+          chalk.yellow.bold(database.name),
+        ),
+        default: false,
+      },
+    ]);
+    if (!confirm) {
+      console.log(lang.fileManager.delete_cancelled);
+      return;
+    }
+
+    console.log(chalk.yellow(lang.databases.deleting));
+    await api.delete(`/servers/${serverId}/databases/${database.id}`);
+    console.log(chalk.green(lang.databases.delete_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.databases.delete_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+// --- NETWORK FUNCTIONS ---
+
+function formatAllocation(allocation) {
+  return `${allocation.ip_alias || allocation.ip}:${allocation.port}`;
+}
+
+async function networkMenu(serverId) {
+  while (true) {
+    let allocations;
+    try {
+      console.log(chalk.yellow(lang.network.fetching));
+      const { data } = await api.get(
+        `/servers/${serverId}/network/allocations`,
+      );
+      allocations = data.data.map((item) => item.attributes);
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.network.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return;
+    }
+
+    const table = new Table({
+      head: [
+        lang.network.header_address,
+        lang.network.header_port,
+        lang.network.header_notes,
+        lang.network.header_primary,
+      ].map((header) => chalk.cyan.bold(header)),
+    });
+    allocations.forEach((allocation) =>
+      table.push([
+        allocation.ip_alias
+          ? `${allocation.ip_alias} ${chalk.gray(`(${allocation.ip})`)}`
+          : allocation.ip,
+        allocation.port,
+        allocation.notes || chalk.gray("-"),
+        allocation.is_default ? chalk.green(`★ ${lang.network.primary}`) : "",
+      ]),
+    );
+    console.log(table.toString() + "\n");
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: chalk.bold(lang.network.title),
+        choices: [
+          { name: lang.network.back, value: { action: "exit" } },
+          { name: lang.network.assign, value: { action: "assign" } },
+          new inquirer.Separator(),
+          ...allocations.map((allocation) => ({
+            name: `${allocation.is_default ? "★" : "🔌"} ${formatAllocation(allocation)}${allocation.notes ? chalk.gray(` (${allocation.notes})`) : ""}`,
+            value: { action: "allocation", allocation },
+          })),
+        ],
+        pageSize: 20,
+      },
+    ]);
+
+    switch (selected.action) {
+      case "exit":
+        return;
+      case "assign":
+        await assignAllocation(serverId);
+        break;
+      case "allocation":
+        await handleAllocationAction(serverId, selected.allocation);
+        break;
+    }
+  }
+}
+
+async function handleAllocationAction(serverId, allocation) {
+  const choices = [{ name: lang.network.set_notes, value: "notes" }];
+  if (!allocation.is_default) {
+    choices.push(
+      { name: lang.network.make_primary, value: "primary" },
+      { name: chalk.red(lang.network.unassign), value: "unassign" },
+    );
+  }
+  choices.push(new inquirer.Separator(), {
+    name: lang.fileManager.cancel,
+    value: "cancel",
+  });
+
+  const { action } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "action",
+      message: lang.network.actions_prompt.replace(
+        "{allocation}",
+        chalk.cyan(formatAllocation(allocation)),
+      ),
+      choices,
+    },
+  ]);
+
+  switch (action) {
+    case "notes":
+      await setAllocationNotes(serverId, allocation);
+      break;
+    case "primary":
+      await setPrimaryAllocation(serverId, allocation);
+      break;
+    case "unassign":
+      await unassignAllocation(serverId, allocation);
+      break;
+  }
+}
+
+async function assignAllocation(serverId) {
+  try {
+    console.log(chalk.yellow(lang.network.assigning));
+    const { data } = await api.post(`/servers/${serverId}/network/allocations`);
+    console.log(
+      chalk.green(
+        lang.network.assign_success.replace(
+          "{allocation}",
+          formatAllocation(data.attributes),
+        ),
+      ),
+    );
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.network.assign_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function setAllocationNotes(serverId, allocation) {
+  try {
+    const { notes } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "notes",
+        message: lang.network.notes_prompt.replace(
+          "{allocation}",
+          formatAllocation(allocation),
+        ),
+        default: allocation.notes || undefined,
+      },
+    ]);
+
+    await api.post(
+      `/servers/${serverId}/network/allocations/${allocation.id}`,
+      { notes: notes.trim() || null },
+    );
+    console.log(chalk.green(lang.network.notes_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.network.notes_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function setPrimaryAllocation(serverId, allocation) {
+  try {
+    await api.post(
+      `/servers/${serverId}/network/allocations/${allocation.id}/primary`,
+    );
+    console.log(
+      chalk.green(
+        lang.network.primary_success.replace(
+          "{allocation}",
+          formatAllocation(allocation),
+        ),
+      ),
+    );
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.network.primary_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function unassignAllocation(serverId, allocation) {
+  try {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: lang.network.unassign_confirm.replace(
+          "{allocation}",
+          chalk.yellow.bold(formatAllocation(allocation)),
+        ),
+        default: false,
+      },
+    ]);
+    if (!confirm) return;
+
+    await api.delete(
+      `/servers/${serverId}/network/allocations/${allocation.id}`,
+    );
+    console.log(chalk.green(lang.network.unassign_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.network.unassign_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+// --- SUBUSER FUNCTIONS ---
+
+// The panel grants websocket.* to every subuser itself, so it isn't offered.
+const HIDDEN_PERMISSION_GROUPS = ["websocket"];
+
+async function fetchPermissionGroups() {
+  const { data } = await api.get("/permissions");
+  return data.attributes.permissions;
+}
+
+async function usersMenu(serverId) {
+  while (true) {
+    let users;
+    try {
+      console.log(chalk.yellow(lang.users.fetching));
+      const { data } = await api.get(`/servers/${serverId}/users`);
+      users = data.data.map((item) => item.attributes);
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.users.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return;
+    }
+
+    if (users.length === 0) {
+      console.log(chalk.yellow(lang.users.no_users));
+    } else {
+      const table = new Table({
+        head: [
+          lang.users.header_username,
+          lang.users.header_email,
+          lang.users.header_2fa,
+          lang.users.header_permissions,
+        ].map((header) => chalk.cyan.bold(header)),
+      });
+      users.forEach((user) =>
+        table.push([
+          user.username,
+          user.email,
+          user["2fa_enabled"]
+            ? chalk.green(lang.backups.yes)
+            : chalk.yellow(lang.backups.no),
+          user.permissions.length,
+        ]),
+      );
+      console.log(table.toString() + "\n");
+    }
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: chalk.bold(lang.users.title),
+        choices: [
+          { name: lang.users.back, value: { action: "exit" } },
+          { name: lang.users.invite, value: { action: "invite" } },
+          new inquirer.Separator(),
+          ...users.map((user) => ({
+            name: `👤 ${user.username} (${chalk.gray(user.email)})`,
+            value: { action: "user", user },
+          })),
+        ],
+        pageSize: 20,
+      },
+    ]);
+
+    switch (selected.action) {
+      case "exit":
+        return;
+      case "invite":
+        await inviteSubuser(serverId);
+        break;
+      case "user": {
+        const { action } = await inquirer.prompt([
+          {
+            type: "list",
+            name: "action",
+            message: lang.users.actions_prompt.replace(
+              "{username}",
+              chalk.cyan(selected.user.username),
+            ),
+            choices: [
+              { name: lang.users.edit_permissions, value: "edit" },
+              { name: chalk.red(lang.users.remove), value: "remove" },
+              new inquirer.Separator(),
+              { name: lang.fileManager.cancel, value: "cancel" },
+            ],
+          },
+        ]);
+        if (action === "edit") await editSubuser(serverId, selected.user);
+        if (action === "remove") await removeSubuser(serverId, selected.user);
+        break;
+      }
+    }
+  }
+}
+
+async function promptPermissions(selectedPermissions = []) {
+  const groups = await fetchPermissionGroups();
+  const choices = [];
+  for (const [group, details] of Object.entries(groups)) {
+    if (HIDDEN_PERMISSION_GROUPS.includes(group)) continue;
+    choices.push(
+      new inquirer.Separator(
+        chalk.cyan.bold(`── ${group}.* ${chalk.gray(details.description)}`),
+      ),
+    );
+    for (const [key, description] of Object.entries(details.keys)) {
+      const permission = `${group}.${key}`;
+      choices.push({
+        name: `${permission} ${chalk.gray(`- ${description}`)}`,
+        value: permission,
+        checked: selectedPermissions.includes(permission),
+      });
+    }
+  }
+
+  const { permissions } = await inquirer.prompt([
+    {
+      type: "checkbox",
+      name: "permissions",
+      message: lang.users.permissions_prompt,
+      choices,
+      pageSize: 20,
+      validate: (value) => value.length > 0 || lang.users.permissions_empty,
+    },
+  ]);
+  return permissions;
+}
+
+async function inviteSubuser(serverId) {
+  try {
+    const { email } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "email",
+        message: lang.users.email_prompt,
+        validate: (value) =>
+          /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()) ||
+          lang.users.email_invalid,
+      },
+    ]);
+    const permissions = await promptPermissions();
+
+    console.log(chalk.yellow(lang.users.inviting));
+    await api.post(`/servers/${serverId}/users`, {
+      email: email.trim(),
+      permissions,
+    });
+    console.log(
+      chalk.green(lang.users.invite_success.replace("{email}", email.trim())),
+    );
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.users.invite_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function editSubuser(serverId, user) {
+  try {
+    const permissions = await promptPermissions(user.permissions);
+    console.log(chalk.yellow(lang.users.saving));
+    await api.post(`/servers/${serverId}/users/${user.uuid}`, { permissions });
+    console.log(chalk.green(lang.users.save_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.users.save_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function removeSubuser(serverId, user) {
+  try {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: lang.users.remove_confirm.replace(
+          "{username}",
+          chalk.yellow.bold(user.username),
+        ),
+        default: false,
+      },
+    ]);
+    if (!confirm) return;
+
+    console.log(chalk.yellow(lang.users.removing));
+    await api.delete(`/servers/${serverId}/users/${user.uuid}`);
+    console.log(chalk.green(lang.users.remove_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.users.remove_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+// --- STARTUP FUNCTIONS ---
+
+// Splits an egg's Laravel rule string ("required|string|max:20") on every "|", as Laravel does,
+// so a regex rule cannot contain one. Regex patterns keep their commas; other rules split on them.
+function parseVariableRules(rules) {
+  return (rules || "")
+    .split("|")
+    .filter(Boolean)
+    .map((part) => {
+      const [name, ...rest] = part.split(":");
+      const arg = rest.join(":");
+      if (name === "regex") {
+        return { name, args: [arg] };
+      }
+      return { name, args: rest.length ? arg.split(",") : [] };
+    });
+}
+
+function parsePhpRegex(pattern) {
+  const match = pattern.match(/^(.)(.*)\1([a-z]*)$/s);
+  if (!match) return new RegExp(pattern);
+  // JavaScript doesn't know PHP-only flags such as x or D.
+  return new RegExp(match[2], match[3].replace(/[^gimsu]/g, ""));
+}
+
+function validateVariableValue(rules, value) {
+  const messages = lang.startup.rule_errors;
+  const parsed = parseVariableRules(rules);
+  const has = (name) => parsed.some((rule) => rule.name === name);
+  const isNumeric = has("integer") || has("numeric");
+
+  if (value === "") {
+    return has("required") ? messages.required : true;
+  }
+
+  // min/max/between compare numbers for numeric variables, lengths otherwise.
+  const size = isNumeric ? Number(value) : value.length;
+  for (const { name, args } of parsed) {
+    switch (name) {
+      case "integer":
+        if (!/^-?\d+$/.test(value)) return messages.integer;
+        break;
+      case "numeric":
+        if (value.trim() === "" || Number.isNaN(Number(value))) {
+          return messages.numeric;
+        }
+        break;
+      case "boolean":
+        if (!["0", "1", "true", "false"].includes(value)) {
+          return messages.boolean;
+        }
+        break;
+      case "alpha":
+        if (!/^[\p{L}\p{M}]+$/u.test(value)) return messages.alpha;
+        break;
+      case "alpha_num":
+        if (!/^[\p{L}\p{M}\p{N}]+$/u.test(value)) return messages.alpha_num;
+        break;
+      case "alpha_dash":
+        if (!/^[\p{L}\p{M}\p{N}_-]+$/u.test(value)) {
+          return messages.alpha_dash;
+        }
+        break;
+      case "url":
+        if (validatePanelUrl(value) !== true) return messages.url;
+        break;
+      case "in":
+        if (!args.includes(value)) {
+          return messages.in.replace("{values}", args.join(", "));
+        }
+        break;
+      case "min":
+        if (size < Number(args[0])) {
+          return messages[isNumeric ? "min_numeric" : "min"].replace(
+            "{min}",
+            args[0],
+          );
+        }
+        break;
+      case "max":
+        if (size > Number(args[0])) {
+          return messages[isNumeric ? "max_numeric" : "max"].replace(
+            "{max}",
+            args[0],
+          );
+        }
+        break;
+      case "between":
+        if (size < Number(args[0]) || size > Number(args[1])) {
+          return messages[isNumeric ? "between_numeric" : "between"]
+            .replace("{min}", args[0])
+            .replace("{max}", args[1]);
+        }
+        break;
+      case "regex":
+        try {
+          if (!parsePhpRegex(args[0]).test(value)) {
+            return messages.regex.replace("{pattern}", args[0]);
+          }
+        } catch (e) {
+          // Leave patterns JavaScript can't compile for the panel to check.
+        }
+        break;
+    }
+  }
+  return true;
+}
+
+async function startupMenu(serverId) {
+  while (true) {
+    let startup;
+    let dockerImage;
+    try {
+      console.log(chalk.yellow(lang.startup.fetching));
+      const [{ data: startupData }, { data: serverData }] = await Promise.all([
+        api.get(`/servers/${serverId}/startup`),
+        api.get(`/servers/${serverId}`),
+      ]);
+      startup = startupData;
+      dockerImage = serverData.attributes.docker_image;
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.startup.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return;
+    }
+
+    const variables = startup.data.map((item) => item.attributes);
+    const dockerImages = startup.meta.docker_images || {};
+
+    console.log(chalk.cyan.bold(lang.startup.command_header));
+    console.log(startup.meta.startup_command);
+    console.log(
+      chalk.cyan.bold(lang.startup.image_header) + " " + dockerImage + "\n",
+    );
+
+    const table = new Table({
+      head: [
+        lang.startup.header_variable,
+        lang.startup.header_value,
+        lang.startup.header_rules,
+        lang.startup.header_editable,
+      ].map((header) => chalk.cyan.bold(header)),
+      colWidths: [40, 24, 24, 10],
+      wordWrap: true,
+      // Rule strings rarely contain spaces, so let them wrap mid-word.
+      wrapOnWordBoundary: false,
+    });
+    variables.forEach((variable) =>
+      table.push([
+        `${chalk.bold(variable.name)} ${chalk.gray(`(${variable.env_variable})`)}\n${chalk.gray(variable.description)}`,
+        variable.server_value ?? chalk.gray(variable.default_value ?? ""),
+        chalk.gray(variable.rules),
+        variable.is_editable
+          ? chalk.green(lang.backups.yes)
+          : chalk.red(lang.backups.no),
+      ]),
+    );
+    console.log(table.toString() + "\n");
+
+    const choices = [{ name: lang.startup.back, value: { action: "exit" } }];
+    if (Object.keys(dockerImages).length > 1) {
+      choices.push({
+        name: lang.startup.change_image,
+        value: { action: "image" },
+      });
+    }
+    choices.push(
+      new inquirer.Separator(),
+      ...variables
+        .filter((variable) => variable.is_editable)
+        .map((variable) => ({
+          name: `✏️ ${variable.name} ${chalk.gray(`= ${variable.server_value ?? ""}`)}`,
+          value: { action: "variable", variable },
+        })),
+    );
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: chalk.bold(lang.startup.title),
+        choices,
+        pageSize: 20,
+      },
+    ]);
+
+    switch (selected.action) {
+      case "exit":
+        return;
+      case "image":
+        await changeDockerImage(serverId, dockerImages, dockerImage);
+        break;
+      case "variable":
+        await editStartupVariable(serverId, selected.variable);
+        break;
+    }
+  }
+}
+
+async function editStartupVariable(serverId, variable) {
+  try {
+    console.log(chalk.gray(variable.description));
+    console.log(
+      chalk.gray(lang.startup.rules_hint.replace("{rules}", variable.rules)),
+    );
+    const { value } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "value",
+        message: lang.startup.value_prompt.replace("{name}", variable.name),
+        default: variable.server_value ?? undefined,
+        validate: (input) => validateVariableValue(variable.rules, input),
+      },
+    ]);
+
+    console.log(chalk.yellow(lang.startup.saving));
+    await api.put(`/servers/${serverId}/startup/variable`, {
+      key: variable.env_variable,
+      value,
+    });
+    console.log(
+      chalk.green(lang.startup.save_success.replace("{name}", variable.name)),
+    );
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.startup.save_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function changeDockerImage(serverId, dockerImages, currentImage) {
+  try {
+    const { image } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "image",
+        message: lang.startup.image_prompt,
+        choices: Object.entries(dockerImages).map(([label, image]) => ({
+          name: `${label} ${chalk.gray(`(${image})`)}`,
+          value: image,
+        })),
+        default: currentImage,
+      },
+    ]);
+    if (image === currentImage) return;
+
+    console.log(chalk.yellow(lang.startup.saving));
+    await api.put(`/servers/${serverId}/settings/docker-image`, {
+      docker_image: image,
+    });
+    console.log(chalk.green(lang.startup.image_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.startup.image_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+// --- SERVER SETTINGS FUNCTIONS ---
+
+// Returns the server info, with the new name if the server was renamed.
+async function serverSettingsMenu(serverInfo) {
+  const { action } = await inquirer.prompt([
+    {
+      type: "list",
+      name: "action",
+      message: chalk.bold(
+        lang.serverSettings.title.replace(
+          "{serverName}",
+          chalk.cyan(serverInfo.name),
+        ),
+      ),
+      choices: [
+        { name: lang.serverSettings.rename, value: "rename" },
+        { name: chalk.red(lang.serverSettings.reinstall), value: "reinstall" },
+        new inquirer.Separator(),
+        { name: lang.settings.back, value: "back" },
+      ],
+    },
+  ]);
+
+  if (action === "rename") return renameServer(serverInfo);
+  if (action === "reinstall") await reinstallServer(serverInfo);
+  return serverInfo;
+}
+
+async function renameServer(serverInfo) {
+  try {
+    const { data } = await api.get(`/servers/${serverInfo.id}`);
+    const { name, description } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "name",
+        message: lang.serverSettings.name_prompt,
+        default: data.attributes.name,
+        validate: (value) =>
+          (value && value.trim().length > 0) || lang.serverSettings.name_empty,
+      },
+      {
+        type: "input",
+        name: "description",
+        message: lang.serverSettings.description_prompt,
+        default: data.attributes.description || undefined,
+      },
+    ]);
+
+    console.log(chalk.yellow(lang.serverSettings.saving));
+    await api.post(`/servers/${serverInfo.id}/settings/rename`, {
+      name: name.trim(),
+      description: description.trim(),
+    });
+    console.log(chalk.green(lang.serverSettings.rename_success));
+    return { ...serverInfo, name: name.trim() };
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.serverSettings.rename_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+    return serverInfo;
+  }
+}
+
+async function reinstallServer(serverInfo) {
+  try {
+    console.log(chalk.red.bold(lang.serverSettings.reinstall_warning));
+    const { typedName } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "typedName",
+        message: lang.serverSettings.reinstall_confirm.replace(
+          "{serverName}",
+          chalk.yellow.bold(serverInfo.name),
+        ),
+      },
+    ]);
+    if (typedName !== serverInfo.name) {
+      console.log(lang.serverSettings.reinstall_cancelled);
+      return;
+    }
+
+    console.log(chalk.yellow(lang.serverSettings.reinstalling));
+    await api.post(`/servers/${serverInfo.id}/settings/reinstall`);
+    console.log(chalk.green(lang.serverSettings.reinstall_success));
+
+    const { watch } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "watch",
+        message: lang.serverSettings.watch_prompt,
+        default: true,
+      },
+    ]);
+    if (watch) await watchInstall(serverInfo.id);
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.serverSettings.reinstall_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+// Streams the install script's output and status changes, returning once the install completes
+// or the user presses Ctrl+C. The regular console view would bury them under console lines.
+function watchInstall(serverId) {
+  return new Promise((resolve) => {
+    const tracker = createStateTracker();
+    let connection = null;
+
+    const stop = () => connection.close();
+    process.once("SIGINT", stop);
+
+    connection = openServerSocket(serverId, {
+      onReady: ({ first }) =>
+        console.log(
+          chalk.green(
+            first
+              ? lang.serverSettings.install_watching
+              : lang.console.reconnected,
+          ),
+        ),
+      onEvent: (message) => {
+        if (message.event === "console output") return;
+        const text = formatServerEvent(message, tracker);
+        if (text !== null) console.log(text);
+        if (message.event === "install completed") connection.close();
+      },
+      onReconnecting: (delay, attempt) =>
+        console.log(
+          chalk.yellow(
+            lang.console.reconnecting
+              .replace("{seconds}", Math.round(delay / 1000))
+              .replace("{attempt}", attempt),
+          ),
+        ),
+      onError: (text) => console.error(chalk.red(text)),
+      onClose: (reason) => {
+        process.removeListener("SIGINT", stop);
+        if (reason) console.error(chalk.red(reason));
+        resolve();
+      },
+    });
+  });
+}
+
+// --- ACCOUNT FUNCTIONS ---
+
+// Returns "exit" when the key in use was revoked without a replacement.
+async function accountMenu() {
+  while (true) {
+    try {
+      console.log(chalk.yellow(lang.account.fetching));
+      const { data } = await api.get("/account");
+      const account = data.attributes;
+      // There is no 2FA row: the client API doesn't expose the account's 2FA state. /account
+      // leaves it out, and GET /account/two-factor is the setup endpoint, which stores a fresh
+      // TOTP secret on every call, so probing it isn't safe.
+
+      const table = new Table({
+        colWidths: [18, 50],
+      });
+      table.push(
+        [chalk.bold(lang.account.username), account.username],
+        [chalk.bold(lang.account.email), account.email],
+        [
+          chalk.bold(lang.account.name),
+          `${account.first_name} ${account.last_name}`.trim(),
+        ],
+        [
+          chalk.bold(lang.account.admin),
+          account.admin ? lang.backups.yes : lang.backups.no,
+        ],
+        [chalk.bold(lang.account.language), account.language],
+      );
+      console.log(table.toString() + "\n");
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.account.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return;
+    }
+
+    const { choice } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "choice",
+        message: chalk.bold(lang.account.title),
+        choices: [
+          { name: lang.account.api_keys, value: "api-keys" },
+          { name: lang.account.ssh_keys, value: "ssh-keys" },
+          { name: lang.account.activity, value: "activity" },
+          new inquirer.Separator(),
+          { name: lang.settings.back, value: "back" },
+        ],
+      },
+    ]);
+
+    if (choice === "back") return;
+    if (choice === "api-keys" && (await apiKeysMenu()) === "exit") {
+      return "exit";
+    }
+    if (choice === "ssh-keys") await sshKeysMenu();
+    if (choice === "activity") {
+      await activityMenu("/account/activity", lang.activity.account_title);
+    }
+  }
+}
+
+async function apiKeysMenu() {
+  while (true) {
+    let keys;
+    try {
+      const { data } = await api.get("/account/api-keys");
+      keys = data.data.map((item) => item.attributes);
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.account.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return;
+    }
+
+    const table = new Table({
+      head: [
+        lang.account.header_identifier,
+        lang.account.header_description,
+        lang.account.header_allowed_ips,
+        lang.account.header_last_used,
+        lang.account.header_created,
+      ].map((header) => chalk.cyan.bold(header)),
+    });
+    keys.forEach((key) =>
+      table.push([
+        API_KEY.startsWith(key.identifier)
+          ? `${key.identifier} ${chalk.green(lang.account.in_use)}`
+          : key.identifier,
+        key.description,
+        key.allowed_ips.length > 0
+          ? key.allowed_ips.join(", ")
+          : chalk.gray(lang.account.any_ip),
+        formatDate(key.last_used_at),
+        formatDate(key.created_at),
+      ]),
+    );
+    console.log(table.toString() + "\n");
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: chalk.bold(lang.account.api_keys),
+        choices: [
+          { name: lang.settings.back, value: { action: "back" } },
+          { name: lang.account.create_key, value: { action: "create" } },
+          new inquirer.Separator(),
+          ...keys.map((key) => ({
+            name: `🗑️ ${lang.account.revoke_key.replace("{identifier}", key.identifier)} ${chalk.gray(key.description)}`,
+            value: { action: "revoke", key },
+          })),
+        ],
+        pageSize: 20,
+      },
+    ]);
+
+    if (selected.action === "back") return;
+    if (selected.action === "create") {
+      const created = await createApiKey();
+      if (created) {
+        console.log(chalk.green(lang.account.key_created));
+        console.log(chalk.bold(created));
+        console.log(chalk.yellow(lang.account.key_shown_once));
+      }
+    }
+    if (
+      selected.action === "revoke" &&
+      (await revokeApiKey(selected.key)) === "exit"
+    ) {
+      return "exit";
+    }
+  }
+}
+
+// Prompts for the key details and returns the full key, or null on failure.
+async function createApiKey(defaults = {}) {
+  try {
+    const { description, allowedIps } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "description",
+        message: lang.account.key_description_prompt,
+        default: defaults.description,
+        validate: (value) =>
+          (value && value.trim().length > 0) ||
+          lang.account.key_description_empty,
+      },
+      {
+        type: "input",
+        name: "allowedIps",
+        message: lang.account.key_ips_prompt,
+        default: defaults.allowedIps,
+      },
+    ]);
+
+    const { data } = await api.post("/account/api-keys", {
+      description: description.trim(),
+      allowed_ips: allowedIps
+        .split(",")
+        .map((ip) => ip.trim())
+        .filter(Boolean),
+    });
+    return `${data.attributes.identifier}${data.meta.secret_token}`;
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.account.create_key_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+    return null;
+  }
+}
+
+// Returns "exit" when the key in use was revoked and not replaced.
+async function revokeApiKey(key) {
+  const inUse = API_KEY.startsWith(key.identifier);
+  if (inUse) console.log(chalk.red.bold(lang.account.revoke_in_use_warning));
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "confirm",
+      message: lang.account.revoke_confirm.replace(
+        "{identifier}",
+        chalk.yellow.bold(key.identifier),
+      ),
+      default: false,
+    },
+  ]);
+  if (!confirm) return;
+
+  let replacement = "none";
+  if (inUse) {
+    ({ replacement } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "replacement",
+        message: lang.account.replace_prompt.replace(
+          "{source}",
+          activeProfile
+            ? lang.account.source_profile.replace("{profile}", activeProfile)
+            : lang.account.source_env,
+        ),
+        choices: [
+          { name: lang.account.replace_create, value: "create" },
+          { name: lang.account.replace_manual, value: "manual" },
+          { name: lang.account.replace_none, value: "none" },
+        ],
+      },
+    ]));
+  }
+
+  // A replacement has to be created while the old key still works.
+  let newKey = null;
+  if (replacement === "create") {
+    newKey = await createApiKey({
+      description: key.description,
+      allowedIps: key.allowed_ips.join(", "),
+    });
+    if (!newKey) return;
+  }
+
+  try {
+    await api.delete(`/account/api-keys/${key.identifier}`);
+    console.log(chalk.green(lang.account.revoke_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.account.revoke_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+    return;
+  }
+  if (!inUse) return;
+
+  if (replacement === "manual") {
+    const { manualKey } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "manualKey",
+        message: lang.profiles.key_prompt,
+        validate: (value) =>
+          (value && value.trim().length > 0) || lang.profiles.key_empty,
+      },
+    ]);
+    newKey = manualKey.trim();
+  }
+
+  if (!newKey) {
+    console.log(chalk.yellow(lang.account.no_replacement));
+    return "exit";
+  }
+  persistApiKey(newKey);
+  console.log(chalk.green(lang.account.key_replaced));
+}
+
+async function sshKeysMenu() {
+  while (true) {
+    let keys;
+    try {
+      const { data } = await api.get("/account/ssh-keys");
+      keys = data.data.map((item) => item.attributes);
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.account.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return;
+    }
+
+    if (keys.length === 0) {
+      console.log(chalk.yellow(lang.account.no_ssh_keys));
+    } else {
+      const table = new Table({
+        head: [
+          lang.account.header_name,
+          lang.account.header_fingerprint,
+          lang.account.header_created,
+        ].map((header) => chalk.cyan.bold(header)),
+      });
+      keys.forEach((key) =>
+        table.push([key.name, key.fingerprint, formatDate(key.created_at)]),
+      );
+      console.log(table.toString() + "\n");
+    }
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: chalk.bold(lang.account.ssh_keys),
+        choices: [
+          { name: lang.settings.back, value: { action: "back" } },
+          { name: lang.account.add_ssh_key, value: { action: "add" } },
+          new inquirer.Separator(),
+          ...keys.map((key) => ({
+            name: `🗑️ ${lang.account.remove_ssh_key.replace("{name}", key.name)} ${chalk.gray(key.fingerprint)}`,
+            value: { action: "remove", key },
+          })),
+        ],
+        pageSize: 20,
+      },
+    ]);
+
+    if (selected.action === "back") return;
+    if (selected.action === "add") await addSshKey();
+    if (selected.action === "remove") await removeSshKey(selected.key);
+  }
+}
+
+async function addSshKey() {
+  try {
+    const { name, keyInput } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "name",
+        message: lang.account.ssh_name_prompt,
+        validate: (value) =>
+          (value && value.trim().length > 0) || lang.account.ssh_name_empty,
+      },
+      {
+        type: "input",
+        name: "keyInput",
+        message: lang.account.ssh_key_prompt,
+        default: path.join(os.homedir(), ".ssh", "id_ed25519.pub"),
+      },
+    ]);
+
+    // Accept either a path to a .pub file or the pasted key itself.
+    const publicKey = fs.existsSync(keyInput)
+      ? fs.readFileSync(keyInput, "utf8").trim()
+      : keyInput.trim();
+
+    await api.post("/account/ssh-keys", {
+      name: name.trim(),
+      public_key: publicKey,
+    });
+    console.log(chalk.green(lang.account.ssh_add_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.account.ssh_add_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+async function removeSshKey(key) {
+  try {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "confirm",
+        message: lang.account.ssh_remove_confirm.replace(
+          "{name}",
+          chalk.yellow.bold(key.name),
+        ),
+        default: false,
+      },
+    ]);
+    if (!confirm) return;
+
+    await api.post("/account/ssh-keys/remove", {
+      fingerprint: key.fingerprint,
+    });
+    console.log(chalk.green(lang.account.ssh_remove_success));
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.account.ssh_remove_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+// --- ACTIVITY LOG FUNCTIONS ---
+
+const ACTIVITY_PAGE_SIZE = 25;
+// Upper bound on panel pages read for one screen of locally filtered results.
+const ACTIVITY_MAX_SCAN_PAGES = 10;
+
+function formatActivityEntry(entry) {
+  return {
+    timestamp: entry.timestamp,
+    event: entry.event,
+    actor:
+      entry.relationships?.actor?.attributes?.username ||
+      lang.activity.system_actor,
+    ip: entry.ip || "",
+    description: entry.description || "",
+    properties: entry.properties || {},
+  };
+}
+
+function formatActivityProperties(properties) {
+  return Object.entries(properties)
+    .map(
+      ([key, value]) =>
+        `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`,
+    )
+    .join(" ");
+}
+
+// The panel API can only filter by event, so actor and date range are applied locally.
+function hasLocalActivityFilters(filters) {
+  return Boolean(filters.actor || filters.from || filters.to);
+}
+
+function matchesActivityFilters(entry, filters) {
+  if (
+    filters.actor &&
+    !entry.actor.toLowerCase().includes(filters.actor.toLowerCase())
+  ) {
+    return false;
+  }
+  const time = new Date(entry.timestamp).getTime();
+  if (filters.from && time < filters.from.getTime()) return false;
+  if (filters.to && time > filters.to.getTime()) return false;
+  return true;
+}
+
+async function fetchActivityPage(endpoint, page, filters) {
+  const params = new URLSearchParams({
+    page,
+    per_page: ACTIVITY_PAGE_SIZE,
+    sort: "-timestamp",
+    include: "actor",
+  });
+  if (filters.event) params.set("filter[event]", filters.event);
+
+  const { data } = await api.get(`${endpoint}?${params}`);
+  return {
+    entries: data.data.map((item) => formatActivityEntry(item.attributes)),
+    totalPages: data.meta?.pagination?.total_pages || 1,
+  };
+}
+
+// Loads one screen of entries starting at a panel page. With local filters, later pages are
+// read until a screenful of matches is found, so an empty page never hides matches further on.
+async function fetchActivityView(endpoint, startPage, filters) {
+  const entries = [];
+  let page = startPage;
+  let totalPages = 1;
+  let exhausted = false;
+  do {
+    const result = await fetchActivityPage(endpoint, page, filters);
+    totalPages = result.totalPages;
+    entries.push(
+      ...result.entries.filter((entry) =>
+        matchesActivityFilters(entry, filters),
+      ),
+    );
+    page++;
+    // Entries are newest first, so nothing past an entry older than "from" can match.
+    const oldest = result.entries[result.entries.length - 1];
+    if (filters.from && oldest && new Date(oldest.timestamp) < filters.from) {
+      exhausted = true;
+    }
+  } while (
+    hasLocalActivityFilters(filters) &&
+    !exhausted &&
+    entries.length < ACTIVITY_PAGE_SIZE &&
+    page <= totalPages &&
+    page - startPage < ACTIVITY_MAX_SCAN_PAGES
+  );
+
+  return {
+    entries,
+    firstPage: startPage,
+    lastPage: page - 1,
+    nextPage: !exhausted && page <= totalPages ? page : null,
+    totalPages,
+  };
+}
+
+function parseDateFilter(value, endOfDay) {
+  if (!value.trim()) return null;
+  const date = new Date(
+    `${value.trim()}T${endOfDay ? "23:59:59.999" : "00:00:00"}`,
+  );
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+async function promptActivityFilters(filters) {
+  const dateValidate = (value) =>
+    parseDateFilter(value) !== undefined || lang.activity.date_invalid;
+  const formatDay = (date) =>
+    date
+      ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`
+      : undefined;
+
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "event",
+      message: lang.activity.event_prompt,
+      default: filters.event || undefined,
+    },
+    {
+      type: "input",
+      name: "actor",
+      message: lang.activity.actor_prompt,
+      default: filters.actor || undefined,
+    },
+    {
+      type: "input",
+      name: "from",
+      message: lang.activity.from_prompt,
+      default: formatDay(filters.from),
+      validate: dateValidate,
+    },
+    {
+      type: "input",
+      name: "to",
+      message: lang.activity.to_prompt,
+      default: formatDay(filters.to),
+      validate: dateValidate,
+    },
+  ]);
+
+  return {
+    event: answers.event.trim(),
+    actor: answers.actor.trim(),
+    from: parseDateFilter(answers.from, false),
+    to: parseDateFilter(answers.to, true),
+  };
+}
+
+function describeActivityFilters(filters) {
+  const parts = [];
+  if (filters.event) parts.push(`event~${filters.event}`);
+  if (filters.actor) parts.push(`actor~${filters.actor}`);
+  if (filters.from) parts.push(`>= ${filters.from.toLocaleDateString()}`);
+  if (filters.to) parts.push(`<= ${filters.to.toLocaleDateString()}`);
+  return parts.join(", ");
+}
+
+async function activityMenu(endpoint, title) {
+  let page = 1;
+  // Start pages of the screens before this one, for "previous".
+  let history = [];
+  let filters = {};
+
+  while (true) {
+    let view;
+    try {
+      console.log(chalk.yellow(lang.activity.fetching));
+      view = await fetchActivityView(endpoint, page, filters);
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.activity.fetch_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return;
+    }
+
+    const { entries } = view;
+    if (entries.length === 0) {
+      console.log(chalk.yellow(lang.activity.no_entries));
+    } else {
+      const table = new Table({
+        head: [
+          lang.activity.header_timestamp,
+          lang.activity.header_event,
+          lang.activity.header_actor,
+          lang.activity.header_ip,
+          lang.activity.header_properties,
+        ].map((header) => chalk.cyan.bold(header)),
+        colWidths: [25, 26, 16, 17, 40],
+        wordWrap: true,
+        wrapOnWordBoundary: false,
+      });
+      entries.forEach((entry) =>
+        table.push([
+          formatDate(entry.timestamp),
+          chalk.yellow(entry.event),
+          entry.actor,
+          entry.ip || chalk.gray("-"),
+          chalk.gray(formatActivityProperties(entry.properties) || "-"),
+        ]),
+      );
+      console.log(table.toString());
+    }
+
+    const filterText = describeActivityFilters(filters);
+    const pageInfo = hasLocalActivityFilters(filters)
+      ? lang.activity.page_info_filtered
+          .replace("{first}", view.firstPage)
+          .replace("{last}", view.lastPage)
+          .replace("{total}", view.totalPages)
+          .replace("{shown}", entries.length)
+      : lang.activity.page_info
+          .replace("{page}", page)
+          .replace("{total}", view.totalPages)
+          .replace("{shown}", entries.length);
+    console.log(
+      chalk.gray(pageInfo) +
+        (filterText
+          ? chalk.gray(` | ${lang.activity.filters_label} ${filterText}`)
+          : "") +
+        "\n",
+    );
+
+    const choices = [{ name: lang.settings.back, value: "back" }];
+    if (view.nextPage) {
+      choices.push({ name: lang.activity.next_page, value: "next" });
+    }
+    if (history.length > 0) {
+      choices.push({ name: lang.activity.previous_page, value: "previous" });
+    }
+    choices.push({ name: lang.activity.set_filters, value: "filter" });
+    if (filterText) {
+      choices.push({ name: lang.activity.clear_filters, value: "clear" });
+    }
+    choices.push(
+      { name: lang.activity.export_json, value: "json" },
+      { name: lang.activity.export_csv, value: "csv" },
+    );
+
+    const { action } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "action",
+        message: chalk.bold(title),
+        choices,
+      },
+    ]);
+
+    switch (action) {
+      case "back":
+        return;
+      case "next":
+        history.push(page);
+        page = view.nextPage;
+        break;
+      case "previous":
+        page = history.pop();
+        break;
+      case "filter":
+        filters = await promptActivityFilters(filters);
+        page = 1;
+        history = [];
+        break;
+      case "clear":
+        filters = {};
+        page = 1;
+        history = [];
+        break;
+      case "json":
+      case "csv":
+        await exportActivity(endpoint, filters, action);
+        break;
+    }
+  }
+}
+
+function toCsvValue(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function exportActivity(endpoint, filters, format) {
+  try {
+    const { savePath } = await inquirer.prompt([
+      {
+        type: "input",
+        name: "savePath",
+        message: lang.activity.export_prompt,
+        default: `activity-${new Date().toISOString().slice(0, 10)}.${format}`,
+      },
+    ]);
+
+    console.log(chalk.yellow(lang.activity.exporting));
+    const entries = [];
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const result = await fetchActivityPage(endpoint, page, filters);
+      entries.push(
+        ...result.entries.filter((entry) =>
+          matchesActivityFilters(entry, filters),
+        ),
+      );
+      totalPages = result.totalPages;
+      // Entries are newest first, so nothing past this page can match.
+      const oldest = result.entries[result.entries.length - 1];
+      if (filters.from && oldest && new Date(oldest.timestamp) < filters.from) {
+        break;
+      }
+      page++;
+    } while (page <= totalPages);
+
+    let output;
+    if (format === "json") {
+      output = JSON.stringify(entries, null, 2);
+    } else {
+      const columns = [
+        "timestamp",
+        "event",
+        "actor",
+        "ip",
+        "description",
+        "properties",
+      ];
+      output = [
+        columns.join(","),
+        ...entries.map((entry) =>
+          columns
+            .map((column) =>
+              toCsvValue(
+                column === "properties"
+                  ? JSON.stringify(entry.properties)
+                  : entry[column],
+              ),
+            )
+            .join(","),
+        ),
+      ].join("\n");
+    }
+    fs.writeFileSync(savePath, output + "\n");
+    console.log(
+      chalk.green(
+        lang.activity.export_success
+          .replace("{count}", entries.length)
+          .replace("{path}", savePath),
+      ),
+    );
+  } catch (error) {
+    console.error(
+      chalk.red(
+        lang.activity.export_fail.replace(
+          "{error}",
+          error.response?.data?.errors?.[0]?.detail || error.message,
+        ),
+      ),
+    );
+  }
+}
+
+// --- CONSOLE FUNCTIONS ---
+
+async function fetchWebSocketDetails(serverId) {
+  const { data } = await api.get(`/servers/${serverId}/websocket`);
+  return data.data;
+}
+
+const CONSOLE_HISTORY_SIZE = 500;
+
+// Commands offered by tab completion, picked by matching the server's egg name.
+const EGG_COMMANDS = [
+  {
+    match: /bungee|velocity|waterfall/i,
+    commands: [
+      "alert",
+      "end",
+      "glist",
+      "greload",
+      "send",
+      "server",
+      "velocity info",
+      "velocity plugins",
+      "velocity reload",
+    ],
+  },
+  {
+    match: /minecraft|paper|spigot|bukkit|purpur|forge|fabric|sponge|folia/i,
+    commands: [
+      "ban",
+      "ban-ip",
+      "banlist",
+      "clear",
+      "deop",
+      "difficulty",
+      "effect give",
+      "gamemode creative",
+      "gamemode survival",
+      "gamemode spectator",
+      "gamerule doDaylightCycle",
+      "gamerule doFireTick",
+      "gamerule doMobSpawning",
+      "gamerule keepInventory",
+      "gamerule mobGriefing",
+      "gamerule playersSleepingPercentage",
+      "give",
+      "kick",
+      "kill",
+      "list",
+      "msg",
+      "op",
+      "pardon",
+      "pardon-ip",
+      "plugins",
+      "reload confirm",
+      "save-all",
+      "save-off",
+      "save-on",
+      "say",
+      "seed",
+      "stop",
+      "time set day",
+      "time set night",
+      "tp",
+      "tps",
+      "version",
+      "weather clear",
+      "whitelist add",
+      "whitelist list",
+      "whitelist off",
+      "whitelist on",
+      "whitelist reload",
+      "whitelist remove",
+      "worldborder set",
+    ],
+  },
+  {
+    match: /rust/i,
+    commands: [
+      "ban",
+      "kick",
+      "oxide.reload",
+      "say",
+      "server.save",
+      "server.writecfg",
+      "status",
+      "unban",
+    ],
+  },
+  {
+    match: /terraria|tshock/i,
+    commands: [
+      "ban",
+      "dawn",
+      "exit",
+      "kick",
+      "noon",
+      "playing",
+      "save",
+      "say",
+      "settle",
+    ],
+  },
+];
+
+function loadConsoleHistory(serverId) {
+  if (!fs.existsSync(HISTORY_PATH)) return [];
+  try {
+    return JSON.parse(fs.readFileSync(HISTORY_PATH))[serverId] || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function saveConsoleHistory(serverId, history) {
+  let allHistory = {};
+  try {
+    if (fs.existsSync(HISTORY_PATH)) {
+      allHistory = JSON.parse(fs.readFileSync(HISTORY_PATH));
+    }
+  } catch (error) {
+    // A corrupt history file is replaced rather than blocking the console.
+  }
+  allHistory[serverId] = history.slice(0, CONSOLE_HISTORY_SIZE);
+  fs.writeFileSync(HISTORY_PATH, JSON.stringify(allHistory, null, 2));
+}
+
+async function fetchEggCommands(serverId) {
+  const { data } = await api.get(`/servers/${serverId}?include=egg`);
+  const eggName = data.attributes.relationships?.egg?.attributes?.name || "";
+  const invocation = data.attributes.invocation || "";
+  const entry = EGG_COMMANDS.find(
+    ({ match }) => match.test(eggName) || match.test(invocation),
+  );
+  return entry ? entry.commands : [];
+}
+
+const CONSOLE_SCROLLBACK_LINES = 5000;
+const CONSOLE_TAIL_DEFAULT = 50;
+
+const HIGHLIGHT_COLORS = [
+  "red",
+  "green",
+  "yellow",
+  "blue",
+  "magenta",
+  "cyan",
+  "white",
+  "gray",
+];
+
+// Used for any server that has no rules of its own in config.consoleRules.
+const DEFAULT_CONSOLE_RULES = {
+  highlight: [
+    { pattern: "\\b(ERROR|SEVERE|FATAL)\\b", color: "red" },
+    { pattern: "\\bWARN(ING)?\\b", color: "yellow" },
+    {
+      pattern: "^\\s+at \\S+\\(|^Caused by: |^[\\w.$]+(Exception|Error)(: |$)",
+      color: "magenta",
+    },
+  ],
+  hide: [],
+};
+
+function getConsoleRules(serverId) {
+  return config.consoleRules?.[serverId] || DEFAULT_CONSOLE_RULES;
+}
+
+// Rules are edited from inside the console; the defaults are copied on the first change.
+function updateConsoleRules(serverId, update) {
+  const rules = structuredClone(getConsoleRules(serverId));
+  update(rules);
+  config.consoleRules = { ...config.consoleRules, [serverId]: rules };
+  saveConfig();
+  return rules;
+}
+
+function compileConsoleRules(rules) {
+  const compile = (pattern) => {
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      return null;
+    }
+  };
+  return {
+    highlight: rules.highlight
+      .map((rule) => ({ regex: compile(rule.pattern), color: rule.color }))
+      .filter((rule) => rule.regex && HIGHLIGHT_COLORS.includes(rule.color)),
+    hide: rules.hide.map(compile).filter(Boolean),
+  };
+}
+
+// Returns the text to display, or null when every line was hidden.
+function applyConsoleRules(text, compiled, stats) {
+  const lines = text
+    .replace(/\r?\n$/, "")
+    .split(/\r?\n/)
+    .flatMap((line) => {
+      const plain = stripAnsi(line);
+      if (compiled.hide.some((regex) => regex.test(plain))) {
+        stats.hidden++;
+        return [];
+      }
+      const rule = compiled.highlight.find(({ regex }) => regex.test(plain));
+      return [rule ? chalk[rule.color](plain) : line];
+    });
+  return lines.length > 0 ? lines.join("\n") : null;
+}
+
+function formatRuleList(rules) {
+  const highlight = rules.highlight.map(
+    (rule, index) =>
+      `  ${index + 1}. ${chalk[HIGHLIGHT_COLORS.includes(rule.color) ? rule.color : "white"](rule.color.padEnd(8))} /${rule.pattern}/`,
+  );
+  const hide = rules.hide.map(
+    (pattern, index) => `  ${index + 1}. /${pattern}/`,
+  );
+  return [
+    chalk.cyan.bold(lang.console.rules_highlight_header),
+    ...(highlight.length
+      ? highlight
+      : [chalk.gray(`  ${lang.console.rules_none}`)]),
+    chalk.cyan.bold(lang.console.rules_hide_header),
+    ...(hide.length ? hide : [chalk.gray(`  ${lang.console.rules_none}`)]),
+  ].join("\n");
+}
+
+// Shared by !highlight and !hide: "add ..." and "remove <n>" edit the list, anything else prints it.
+function editConsoleRuleList(session, kind, args) {
+  const [action, ...rest] = args.split(/\s+/);
+  const list = () =>
+    session.print(formatRuleList(getConsoleRules(session.serverId)));
+
+  if (action === "add") {
+    let rule;
+    let pattern = rest.join(" ");
+    if (kind === "highlight") {
+      const color = rest[0];
+      pattern = rest.slice(1).join(" ");
+      if (!HIGHLIGHT_COLORS.includes(color)) {
+        session.print(
+          chalk.yellow(
+            lang.console.rules_bad_color.replace(
+              "{colors}",
+              HIGHLIGHT_COLORS.join(", "),
+            ),
+          ),
+        );
+        return;
+      }
+      rule = { pattern, color };
+    } else {
+      rule = pattern;
+    }
+    if (!pattern) {
+      session.print(chalk.yellow(lang.console[`${kind}_usage`]));
+      return;
+    }
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      session.print(
+        chalk.red(
+          lang.console.search_invalid.replace("{error}", error.message),
+        ),
+      );
+      return;
+    }
+    session.setRules(
+      updateConsoleRules(session.serverId, (rules) => rules[kind].push(rule)),
+    );
+    list();
+  } else if (action === "remove") {
+    const index = parseInt(rest[0], 10) - 1;
+    const inRange =
+      index >= 0 && index < getConsoleRules(session.serverId)[kind].length;
+    if (!inRange) {
+      session.print(chalk.yellow(lang.console[`${kind}_usage`]));
+      return;
+    }
+    session.setRules(
+      updateConsoleRules(session.serverId, (rules) =>
+        rules[kind].splice(index, 1),
+      ),
+    );
+    list();
+  } else if (action) {
+    session.print(chalk.yellow(lang.console[`${kind}_usage`]));
+  } else {
+    list();
+  }
+}
+
+// "!" commands handled locally instead of being sent to the server.
+const CONSOLE_LOCAL_COMMANDS = {
+  help(session) {
+    session.print(chalk.cyan(lang.console.local_help.join("\n")));
+  },
+
+  search(session, args) {
+    if (!args) {
+      session.print(chalk.yellow(lang.console.search_usage));
+      return;
+    }
+    let pattern;
+    try {
+      pattern = new RegExp(args, "gi");
+    } catch (error) {
+      session.print(
+        chalk.red(
+          lang.console.search_invalid.replace("{error}", error.message),
+        ),
+      );
+      return;
+    }
+    const matches = session.scrollback
+      .map(stripAnsi)
+      .filter((line) => line.search(pattern) !== -1);
+    session.print(
+      [
+        chalk.cyan.bold(
+          lang.console.search_header
+            .replace("{count}", matches.length)
+            .replace("{pattern}", args),
+        ),
+        ...matches.map((line) =>
+          line.replace(pattern, (match) => chalk.black.bgYellow(match)),
+        ),
+      ].join("\n"),
+    );
+  },
+
+  tail(session, args) {
+    const count = args ? parseInt(args, 10) : CONSOLE_TAIL_DEFAULT;
+    if (!(count > 0)) {
+      session.print(chalk.yellow(lang.console.tail_usage));
+      return;
+    }
+    const lines = session.scrollback.slice(-count);
+    session.print(
+      [
+        chalk.cyan.bold(
+          lang.console.tail_header.replace("{count}", lines.length),
+        ),
+        ...lines,
+      ].join("\n"),
+    );
+  },
+
+  record(session, args) {
+    const [action, ...rest] = args.split(/\s+/);
+    if (action === "start") {
+      if (session.recorder) {
+        session.print(
+          chalk.yellow(
+            lang.console.record_already.replace(
+              "{path}",
+              session.recorder.path,
+            ),
+          ),
+        );
+        return;
+      }
+      session.startRecording(
+        rest.join(" ") || defaultRecordingPath(session.serverId),
+      );
+    } else if (action === "stop") {
+      if (!session.recorder) {
+        session.print(chalk.yellow(lang.console.record_not_active));
+        return;
+      }
+      session.stopRecording();
+    } else {
+      session.print(
+        chalk.yellow(
+          session.recorder
+            ? lang.console.record_active.replace(
+                "{path}",
+                session.recorder.path,
+              )
+            : lang.console.record_usage,
+        ),
+      );
+    }
+  },
+
+  highlight(session, args) {
+    editConsoleRuleList(session, "highlight", args);
+  },
+
+  hide(session, args) {
+    editConsoleRuleList(session, "hide", args);
+  },
+
+  filters(session, args) {
+    if (args === "on" || args === "off") {
+      session.filtersEnabled = args === "on";
+    } else if (!args) {
+      session.filtersEnabled = !session.filtersEnabled;
+    } else {
+      session.print(chalk.yellow(lang.console.filters_usage));
+      return;
+    }
+    session.print(
+      chalk.cyan(
+        (session.filtersEnabled
+          ? lang.console.filters_on
+          : lang.console.filters_off
+        ).replace("{hidden}", session.ruleStats.hidden),
+      ),
+    );
+  },
+
+  triggers(session, args) {
+    if (args === "on" || args === "off") {
+      session.triggers.enabled = args === "on";
+    } else if (args) {
+      session.print(chalk.yellow(lang.console.triggers_usage));
+      return;
+    }
+    session.print(
+      chalk.cyan(
+        (session.triggers.enabled
+          ? lang.console.triggers_on
+          : lang.console.triggers_off
+        ).replace("{count}", session.triggers.count),
+      ),
+    );
+  },
+
+  clear(session) {
+    console.clear();
+    session.print(chalk.gray(lang.console.cleared));
+  },
+};
+
+function getRecordingSettings() {
+  return { stripAnsi: true, maxSizeMb: 10, maxFiles: 5, ...config.recording };
+}
+
+function defaultRecordingPath(serverId) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  return `console-${serverId}-${stamp}.log`;
+}
+
+// Appends timestamped lines to filePath, rotating to filePath.1, .2, ... once it grows past the size limit.
+// Opening the file throws so the caller can report it. Later write or rotation failures
+// (disk full, permissions, a file moved away) happen inside socket handlers, so they are
+// passed to onError once and the recorder turns itself off instead of throwing.
+function createConsoleRecorder(
+  filePath,
+  { settings = getRecordingSettings(), onError } = {},
+) {
+  const maxBytes = settings.maxSizeMb * 1024 * 1024;
+  let fd = fs.openSync(filePath, "a");
+  let size = fs.fstatSync(fd).size;
+  let failed = false;
+
+  const rotate = () => {
+    fs.closeSync(fd);
+    fd = null;
+    for (let index = settings.maxFiles - 1; index >= 1; index--) {
+      const source = `${filePath}.${index}`;
+      if (fs.existsSync(source))
+        fs.renameSync(source, `${filePath}.${index + 1}`);
+    }
+    fs.renameSync(filePath, `${filePath}.1`);
+    fs.rmSync(`${filePath}.${settings.maxFiles + 1}`, { force: true });
+    fd = fs.openSync(filePath, "w");
+    size = 0;
+  };
+
+  const fail = (error) => {
+    failed = true;
+    try {
+      if (fd !== null) fs.closeSync(fd);
+    } catch (closeError) {
+      // Already failing; the write error is the one worth reporting.
+    }
+    onError?.(error);
+  };
+
+  return {
+    path: filePath,
+    write(text, prefix = "") {
+      if (failed) return;
+      const body = settings.stripAnsi ? stripAnsi(text) : text;
+      const timestamp = new Date().toISOString();
+      const output = body
+        .replace(/\r?\n$/, "")
+        .split(/\r?\n/)
+        .map((line) => `[${timestamp}] ${prefix}${line}\n`)
+        .join("");
+      const bytes = Buffer.byteLength(output);
+      try {
+        if (size > 0 && size + bytes > maxBytes) rotate();
+        fs.writeSync(fd, output);
+        size += bytes;
+      } catch (error) {
+        fail(error);
+      }
+    },
+    close() {
+      if (failed) return;
+      try {
+        fs.closeSync(fd);
+      } catch (error) {
+        // Nothing left to flush; closing twice or after an unlink is harmless here.
+      }
+    },
+  };
+}
+
+// Console commands that shut a server down on their own, so the exit that follows isn't a crash.
+const STOP_COMMANDS = ["stop", "end", "exit", "quit", "shutdown"];
+
+// Follows "status" events. A server that drops from running straight to offline, without
+// passing through "stopping" or a stop being requested here, is reported as crashed.
+function createStateTracker() {
+  let state = null;
+  let stopExpected = false;
+  return {
+    get state() {
+      return state;
+    },
+    expectStop() {
+      stopExpected = true;
+    },
+    update(next) {
+      const previous = state;
+      state = next;
+      if (next === "stopping") stopExpected = true;
+      const crashed =
+        previous === "running" && next === "offline" && !stopExpected;
+      if (next === "offline") stopExpected = false;
+      return { previous, crashed };
+    },
+  };
+}
+
+// Turns the non-console websocket events into printable text, or null for events that have nothing to show.
+function formatServerEvent(message, tracker) {
+  const banner = (text) => `--- ${text} ---`;
+  switch (message.event) {
+    case "status": {
+      const state = message.args[0];
+      const { previous, crashed } = tracker.update(state);
+      if (previous === state) return null;
+      const lines = [
+        stateColor(state)(
+          lang.console.status_message.replace("{status}", state),
+        ),
+      ];
+      if (crashed) {
+        lines.push(chalk.red.bold(banner(lang.console.crash_detected)));
+      }
+      return lines.join("\n");
+    }
+    case "install output":
+      return message.args[0]
+        .replace(/\r?\n$/, "")
+        .split(/\r?\n/)
+        .map((line) => chalk.gray(`[install] ${stripAnsi(line)}`))
+        .join("\n");
+    case "install started":
+      return chalk.yellow.bold(banner(lang.console.install_started));
+    case "install completed":
+      return chalk.green.bold(banner(lang.console.install_completed));
+    case "daemon error":
+      return chalk.red(
+        lang.console.daemon_error.replace("{error}", message.args?.[0] || ""),
+      );
+    case "backup completed": {
+      let backup = {};
+      try {
+        backup = JSON.parse(message.args?.[0] || "{}");
+      } catch (error) {
+        // Older daemons send no payload; fall back to a generic message.
+      }
+      return backup.is_successful === false
+        ? chalk.red(lang.console.backup_failed)
+        : chalk.green(
+            lang.console.backup_completed.replace(
+              "{size}",
+              formatBytes(backup.file_size),
+            ),
+          );
+    }
+    default:
+      return null;
+  }
+}
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Keeps an authenticated websocket open for a server. The JWT is refreshed when the panel
+// says it is expiring, and unexpected closes reconnect with exponential backoff.
+// Handlers: onReady({ first }), onEvent(message), onReconnecting(delay, attempt), onError(text), onClose(reason).
+function openServerSocket(serverId, handlers = {}) {
+  const state = {
+    socket: null,
+    closed: false,
+    ready: false,
+    connectedOnce: false,
+    attempt: 0,
+    timer: null,
+  };
+  const errorText = (error) =>
+    error.response?.data?.errors?.[0]?.detail || error.message;
+
+  const close = (reason) => {
+    if (state.closed) return;
+    state.closed = true;
+    state.ready = false;
+    clearTimeout(state.timer);
+    if (state.socket && state.socket.readyState !== WebSocket.CLOSED) {
+      state.socket.terminate();
+    }
+    handlers.onClose?.(reason);
+  };
+
+  const scheduleReconnect = () => {
+    // Capped so a long outage still retries regularly.
+    const delay = Math.min(
+      RECONNECT_BASE_DELAY * 2 ** state.attempt,
+      RECONNECT_MAX_DELAY,
+    );
+    state.attempt++;
+    state.ready = false;
+    handlers.onReconnecting?.(delay, state.attempt);
+    state.timer = setTimeout(connect, delay);
+  };
+
+  const connect = async () => {
+    let details;
+    try {
+      details = await fetchWebSocketDetails(serverId);
+    } catch (error) {
+      const text = lang.console.connection_error.replace(
+        "{error}",
+        errorText(error),
+      );
+      if (!state.connectedOnce) {
+        close(text);
+        return;
+      }
+      handlers.onError?.(text);
+      scheduleReconnect();
+      return;
+    }
+    if (state.closed) return;
+
+    const socket = new WebSocket(details.socket, { origin: PANEL_URL });
+    state.socket = socket;
+
+    socket.on("open", () => {
+      socket.send(JSON.stringify({ event: "auth", args: [details.token] }));
+    });
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (e) {
+        // Pass non-JSON data on as output as well (e.g., startup logs)
+        message = { event: "console output", args: [data.toString()] };
+      }
+
+      switch (message.event) {
+        case "auth success": {
+          const first = !state.connectedOnce;
+          const reconnected = state.attempt > 0;
+          state.connectedOnce = true;
+          state.attempt = 0;
+          state.ready = true;
+          // Re-auth after a token refresh also answers "auth success"; only report real (re)connects.
+          if (first || reconnected) handlers.onReady?.({ first });
+          return;
+        }
+
+        // The panel warns before the JWT runs out; fetch a fresh one and re-auth on the same socket.
+        case "token expiring":
+        case "token expired":
+          fetchWebSocketDetails(serverId)
+            .then(({ token }) => {
+              if (socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify({ event: "auth", args: [token] }));
+              }
+            })
+            .catch((error) => {
+              handlers.onError?.(
+                lang.console.token_refresh_fail.replace(
+                  "{error}",
+                  errorText(error),
+                ),
+              );
+              socket.terminate();
+            });
+          return;
+
+        case "jwt error":
+          close(
+            lang.console.connection_error.replace(
+              "{error}",
+              message.args?.[0] || "jwt error",
+            ),
+          );
+          return;
+
+        default:
+          handlers.onEvent?.(message);
+      }
+    });
+
+    socket.on("error", (error) => {
+      if (state.closed) return;
+      handlers.onError?.(
+        lang.console.connection_error.replace("{error}", error.message),
+      );
+    });
+
+    socket.on("close", () => {
+      if (state.closed || socket !== state.socket) return;
+      if (!state.connectedOnce) {
+        close();
+        return;
+      }
+      scheduleReconnect();
+    });
+  };
+
+  connect();
+
+  return {
+    get ready() {
+      return state.ready;
+    },
+    get reconnecting() {
+      return state.attempt > 0;
+    },
+    // Returns false instead of throwing when the socket is between connections.
+    send(event, args = []) {
+      if (!state.ready || state.socket.readyState !== WebSocket.OPEN) {
+        return false;
+      }
+      state.socket.send(JSON.stringify({ event, args }));
+      return true;
+    },
+    close: () => close(),
+  };
+}
+
+function connectToConsole(serverId, options = {}) {
+  return new Promise((resolve) => {
+    console.log(chalk.yellow(lang.console.connecting));
+
+    let history = loadConsoleHistory(serverId);
+    let eggCommands = [];
+    // Completion is a convenience, so a failed egg lookup just leaves history-only suggestions.
+    fetchEggCommands(serverId)
+      .then((commands) => (eggCommands = commands))
+      .catch(() => {});
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      prompt: chalk.cyan("> "),
+      history: [...history],
+      historySize: CONSOLE_HISTORY_SIZE,
+      removeHistoryDuplicates: true,
+      completer: (line) => {
+        const candidates = [...new Set([...history, ...eggCommands])];
+        const hits = candidates.filter(
+          (candidate) => candidate.startsWith(line) && candidate !== line,
+        );
+        return [hits.sort(), line];
+      },
+    });
+
+    rl.on("history", (updated) => {
+      history = [...updated];
+      try {
+        saveConsoleHistory(serverId, history);
+      } catch (error) {
+        // Keep the console usable even if the history file can't be written.
+      }
+    });
+
+    let connection = null;
+    let connectedOnce = false;
+
+    const basePrompt = () =>
+      connection?.reconnecting
+        ? chalk.yellow(lang.console.reconnecting_prompt)
+        : chalk.cyan("> ");
+
+    // Ctrl+R looks backwards through history for the text typed so far; pressing it again finds older matches.
+    let reverseSearch = null;
+    const onSearchKey = (str, key = {}) => {
+      if (!(key.ctrl && key.name === "r")) {
+        if (reverseSearch) {
+          reverseSearch = null;
+          rl.setPrompt(basePrompt());
+          rl.prompt(true);
+        }
+        return;
+      }
+      if (!reverseSearch) {
+        reverseSearch = { query: rl.line, index: -1 };
+      }
+      const { query } = reverseSearch;
+      const index = history.findIndex(
+        (entry, position) =>
+          position > reverseSearch.index && entry.includes(query),
+      );
+      rl.setPrompt(
+        chalk.magenta(
+          (index === -1
+            ? lang.console.reverse_search_failed
+            : lang.console.reverse_search
+          ).replace("{query}", query),
+        ),
+      );
+      if (index === -1) {
+        rl.prompt(true);
+        return;
+      }
+      reverseSearch.index = index;
+      // Replace the typed line through readline's own key handling so the cursor stays consistent.
+      rl.write(null, { ctrl: true, name: "e" });
+      rl.write(null, { ctrl: true, name: "u" });
+      rl.write(history[index]);
+    };
+    process.stdin.on("keypress", onSearchKey);
+
+    // Prints above the prompt; rl.prompt(true) keeps whatever the user has typed so far.
+    const printAbovePrompt = (text) => {
+      readline.cursorTo(process.stdout, 0);
+      readline.clearLine(process.stdout, 1);
+      process.stdout.write(text.endsWith("\n") ? text : text + "\n");
+      rl.prompt(true);
+    };
+
+    const session = {
+      serverId,
+      scrollback: [],
+      recorder: null,
+      filtersEnabled: true,
+      rules: compileConsoleRules(getConsoleRules(serverId)),
+      ruleStats: { hidden: 0 },
+      tracker: createStateTracker(),
+      triggers: createTriggerEngine(getTriggers(serverId), {
+        serverId,
+        onStop: () => session.tracker.expectStop(),
+        send: (event, args) => connection?.send(event, args),
+        // Before the prompt is shown, plain logging avoids drawing a stray prompt.
+        log: (text) =>
+          connectedOnce ? printAbovePrompt(text) : console.log(text),
+      }),
+      print: (text) => printAbovePrompt(text),
+      setRules(rules) {
+        this.rules = compileConsoleRules(rules);
+      },
+      startRecording(filePath) {
+        try {
+          this.recorder = createConsoleRecorder(filePath, {
+            onError: (error) => {
+              this.recorder = null;
+              this.print(
+                chalk.red(
+                  lang.console.record_write_fail
+                    .replace("{path}", path.resolve(filePath))
+                    .replace("{error}", error.message),
+                ),
+              );
+            },
+          });
+          this.recorder.write(lang.console.record_marker_start);
+          if (!this.recorder) return;
+          this.print(
+            chalk.green(
+              lang.console.record_started.replace(
+                "{path}",
+                path.resolve(filePath),
+              ),
+            ),
+          );
+        } catch (error) {
+          this.recorder = null;
+          this.print(
+            chalk.red(
+              lang.console.record_fail.replace("{error}", error.message),
+            ),
+          );
+        }
+      },
+      stopRecording(print = this.print) {
+        const recorder = this.recorder;
+        recorder.write(lang.console.record_marker_stop);
+        // A failed write already closed the file, reported it and cleared this.recorder.
+        if (!this.recorder) return;
+        recorder.close();
+        print(
+          chalk.green(
+            lang.console.record_stopped.replace("{path}", recorder.path),
+          ),
+        );
+        this.recorder = null;
+      },
+    };
+
+    const recordOutput = (text) => {
+      session.scrollback.push(...text.replace(/\r?\n$/, "").split(/\r?\n/));
+      if (session.scrollback.length > CONSOLE_SCROLLBACK_LINES) {
+        session.scrollback.splice(
+          0,
+          session.scrollback.length - CONSOLE_SCROLLBACK_LINES,
+        );
+      }
+    };
+
+    // --- DEBOUNCING LOGIC FOR SMOOTH RENDERING ---
+    let messageBuffer = [];
+    let redrawTimer = null;
+
+    const scheduleRedraw = () => {
+      // If a redraw is already scheduled, cancel it.
+      if (redrawTimer) {
+        clearTimeout(redrawTimer);
+      }
+
+      // Schedule a redraw in 50ms.
+      redrawTimer = setTimeout(() => {
+        if (messageBuffer.length > 0) {
+          // Write all buffered messages in one go
+          printAbovePrompt(
+            messageBuffer
+              .map((message) => message.replace(/\r?\n$/, ""))
+              .join("\n"),
+          );
+
+          // Clear the buffer
+          messageBuffer = [];
+        }
+      }, 50);
+    };
+
+    connection = openServerSocket(serverId, {
+      onReady: ({ first }) => {
+        if (!first) {
+          rl.setPrompt(basePrompt());
+          printAbovePrompt(chalk.green(lang.console.reconnected));
+          return;
+        }
+        connectedOnce = true;
+        console.log(chalk.green(lang.console.connected));
+        console.log(chalk.cyan.bold(lang.console.waiting_for_logs));
+        console.log(
+          chalk.cyan.bold(
+            "\n----------------------------------------------------",
+          ),
+        );
+        console.log(chalk.bold(lang.console.exit_instruction));
+        rl.prompt();
+        // Ask for the recent backlog once; a reconnect would only repeat it.
+        session.triggers.startReplay();
+        connection.send("send logs", [null]);
+        if (options.logFile) session.startRecording(options.logFile);
+      },
+
+      onEvent: (message) => {
+        if (message.event !== "console output") {
+          const text = formatServerEvent(message, session.tracker);
+          if (text === null) return;
+          session.recorder?.write(text);
+          messageBuffer.push(text);
+          scheduleRedraw();
+          return;
+        }
+
+        const output = message.args[0];
+        recordOutput(output);
+        session.recorder?.write(output);
+        session.triggers.check(output);
+        if (session.filtersEnabled) {
+          const display = applyConsoleRules(
+            output,
+            session.rules,
+            session.ruleStats,
+          );
+          if (display !== null) messageBuffer.push(display);
+        } else {
+          messageBuffer.push(output);
+        }
+        scheduleRedraw();
+      },
+
+      onReconnecting: (delay, attempt) => {
+        rl.setPrompt(basePrompt());
+        printAbovePrompt(
+          chalk.yellow(
+            lang.console.reconnecting
+              .replace("{seconds}", Math.round(delay / 1000))
+              .replace("{attempt}", attempt),
+          ),
+        );
+      },
+
+      onError: (text) => printAbovePrompt(chalk.red(text)),
+
+      onClose: (reason) => {
+        clearTimeout(redrawTimer);
+        process.stdin.removeListener("keypress", onSearchKey);
+        if (reason) {
+          readline.cursorTo(process.stdout, 0);
+          readline.clearLine(process.stdout, 1);
+          console.error(chalk.red(reason));
+        }
+        if (session.recorder) session.stopRecording(console.log);
+        if (connectedOnce || !reason) {
+          console.log(chalk.cyan.bold(lang.console.connection_closed));
+        }
+        rl.close();
+        resolve();
+      },
+    });
+
+    rl.on("line", (line) => {
+      const command = line.trim();
+      const [, localName, localArgs = ""] =
+        command.match(/^!(\w+)\s*(.*)$/) || [];
+      const localCommand =
+        localName &&
+        Object.hasOwn(CONSOLE_LOCAL_COMMANDS, localName.toLowerCase())
+          ? CONSOLE_LOCAL_COMMANDS[localName.toLowerCase()]
+          : null;
+
+      if (command.toLowerCase() === "!exit") {
+        connection.close();
+      } else if (localCommand) {
+        localCommand(session, localArgs.trim());
+      } else if (connection.send("send command", [command])) {
+        if (STOP_COMMANDS.includes(command.toLowerCase())) {
+          session.tracker.expectStop();
+        }
+        session.recorder?.write(command, "[command] ");
+        rl.prompt();
+      } else {
+        printAbovePrompt(chalk.yellow(lang.console.not_connected));
+      }
+    }).on("close", () => connection.close());
+  });
+}
+
+// --- WATCH TRIGGER FUNCTIONS ---
+
+const TRIGGER_ACTIONS = ["power", "command", "bell", "shell"];
+const TRIGGER_DEFAULT_COOLDOWN = 60;
+const TRIGGER_DEFAULT_MAX_PER_HOUR = 10;
+const TRIGGER_REPLAY_QUIET = 750;
+const TRIGGER_REPLAY_LIMIT = 5000;
+
+function getTriggers(serverId) {
+  return config.triggers?.[serverId] || [];
+}
+
+function saveTriggers(serverId, triggers) {
+  config.triggers = { ...config.triggers, [serverId]: triggers };
+  saveConfig();
+}
+
+function describeTriggerAction(trigger) {
+  switch (trigger.action) {
+    case "power":
+      return `${lang.triggers.actions.power} (${trigger.signal})`;
+    case "command":
+    case "shell":
+      return `${lang.triggers.actions[trigger.action]}: ${trigger.command}`;
+    default:
+      return lang.triggers.actions[trigger.action] || trigger.action;
+  }
+}
+
+// Power signals go through the REST API so they work even while the socket is reconnecting.
+function runTriggerAction(trigger, line, match, context) {
+  switch (trigger.action) {
+    case "power":
+      if (trigger.signal !== "start") context.onStop?.();
+      return api.post(`/servers/${context.serverId}/power`, {
+        signal: trigger.signal,
+      });
+    case "command":
+      if (!context.send("send command", [trigger.command])) {
+        throw new Error(lang.console.not_connected);
+      }
+      return null;
+    case "bell":
+      process.stdout.write("\x07");
+      return null;
+    case "shell":
+      return new Promise((resolve, reject) => {
+        const child = spawn(trigger.command, {
+          shell: true,
+          stdio: "ignore",
+          env: {
+            ...process.env,
+            PTERO_SERVER: context.serverId,
+            PTERO_TRIGGER: trigger.name,
+            PTERO_LINE: line,
+            PTERO_MATCH: match,
+          },
+        });
+        child.on("error", reject);
+        child.on("exit", (code) =>
+          code === 0
+            ? resolve()
+            : reject(
+                new Error(lang.triggers.shell_exit.replace("{code}", code)),
+              ),
+        );
+      });
+  }
+  return null;
+}
+
+// Matches console lines against the enabled triggers. Each trigger waits out its cooldown
+// after firing and stops firing once it has hit its hourly limit.
+function createTriggerEngine(triggers, context) {
+  const active = triggers
+    .filter((trigger) => trigger.enabled !== false)
+    .flatMap((trigger) => {
+      try {
+        return [{ ...trigger, regex: new RegExp(trigger.pattern), fired: [] }];
+      } catch (error) {
+        context.log(
+          chalk.red(
+            lang.triggers.invalid_pattern
+              .replace("{name}", trigger.name)
+              .replace("{error}", error.message),
+          ),
+        );
+        return [];
+      }
+    });
+  let enabled = true;
+  let replaying = false;
+  let quietTimer = null;
+  let limitTimer = null;
+
+  const endReplay = () => {
+    replaying = false;
+    clearTimeout(quietTimer);
+    clearTimeout(limitTimer);
+  };
+  // The backlog arrives as one quick burst of lines with no end marker, so the replay is over
+  // once the console has been quiet for a moment (or, for a chatty server, after a hard limit).
+  const armQuietTimer = () => {
+    clearTimeout(quietTimer);
+    quietTimer = setTimeout(endReplay, TRIGGER_REPLAY_QUIET);
+    quietTimer.unref?.();
+  };
+
+  return {
+    get count() {
+      return active.length;
+    },
+    // Lines replayed by "send logs" happened before this session; matching them would fire
+    // triggers (restarts included) for old events the moment a console opens.
+    startReplay() {
+      replaying = true;
+      armQuietTimer();
+      clearTimeout(limitTimer);
+      limitTimer = setTimeout(endReplay, TRIGGER_REPLAY_LIMIT);
+      limitTimer.unref?.();
+    },
+    endReplay,
+    get enabled() {
+      return enabled;
+    },
+    set enabled(value) {
+      enabled = value;
+    },
+    check(output) {
+      if (replaying) {
+        armQuietTimer();
+        return;
+      }
+      if (!enabled || active.length === 0) return;
+      stripAnsi(output)
+        .split(/\r?\n/)
+        .forEach((line) => {
+          const now = Date.now();
+          active.forEach((trigger) => {
+            const match = line.match(trigger.regex);
+            if (!match) return;
+
+            trigger.fired = trigger.fired.filter(
+              (time) => now - time < 3600 * 1000,
+            );
+            const last = trigger.fired[trigger.fired.length - 1];
+            const cooldown = trigger.cooldown ?? TRIGGER_DEFAULT_COOLDOWN;
+            if (last && now - last < cooldown * 1000) return;
+
+            const limit = trigger.maxPerHour ?? TRIGGER_DEFAULT_MAX_PER_HOUR;
+            if (limit && trigger.fired.length >= limit) {
+              if (!trigger.limitReported) {
+                trigger.limitReported = true;
+                context.log(
+                  chalk.yellow(
+                    lang.triggers.rate_limited
+                      .replace("{name}", trigger.name)
+                      .replace("{limit}", limit),
+                  ),
+                );
+              }
+              return;
+            }
+
+            trigger.limitReported = false;
+            trigger.fired.push(now);
+            context.log(
+              chalk.magenta(
+                lang.triggers.fired
+                  .replace("{name}", trigger.name)
+                  .replace("{action}", describeTriggerAction(trigger)),
+              ),
+            );
+            Promise.resolve()
+              .then(() => runTriggerAction(trigger, line, match[0], context))
+              .catch((error) =>
+                context.log(
+                  chalk.red(
+                    lang.triggers.action_fail
+                      .replace("{name}", trigger.name)
+                      .replace(
+                        "{error}",
+                        error.response?.data?.errors?.[0]?.detail ||
+                          error.message,
+                      ),
+                  ),
+                ),
+              );
+          });
+        });
+    },
+  };
+}
+
+async function triggersMenu(serverId) {
+  while (true) {
+    const triggers = getTriggers(serverId);
+
+    if (triggers.length === 0) {
+      console.log(chalk.yellow(lang.triggers.no_triggers));
+    } else {
+      const table = new Table({
+        head: [
+          lang.triggers.header_name,
+          lang.triggers.header_pattern,
+          lang.triggers.header_action,
+          lang.triggers.header_limits,
+          lang.triggers.header_enabled,
+        ].map((header) => chalk.cyan.bold(header)),
+        colWidths: [16, 26, 30, 24, 9],
+        wordWrap: true,
+        wrapOnWordBoundary: false,
+      });
+      triggers.forEach((trigger) =>
+        table.push([
+          trigger.name,
+          `/${trigger.pattern}/`,
+          describeTriggerAction(trigger),
+          ((trigger.maxPerHour ?? TRIGGER_DEFAULT_MAX_PER_HOUR)
+            ? lang.triggers.limits
+            : lang.triggers.limits_unlimited
+          )
+            .replace("{cooldown}", trigger.cooldown ?? TRIGGER_DEFAULT_COOLDOWN)
+            .replace(
+              "{max}",
+              trigger.maxPerHour ?? TRIGGER_DEFAULT_MAX_PER_HOUR,
+            ),
+          trigger.enabled === false
+            ? chalk.red(lang.backups.no)
+            : chalk.green(lang.backups.yes),
+        ]),
+      );
+      console.log(table.toString());
+    }
+    console.log(chalk.gray(lang.triggers.watch_hint) + "\n");
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "list",
+        name: "selected",
+        message: chalk.bold(lang.triggers.menu_title),
+        choices: [
+          { name: lang.settings.back, value: { action: "back" } },
+          { name: lang.triggers.add, value: { action: "add" } },
+          new inquirer.Separator(),
+          ...triggers.flatMap((trigger, index) => [
+            {
+              name: (trigger.enabled === false
+                ? lang.triggers.enable
+                : lang.triggers.disable
+              ).replace("{name}", trigger.name),
+              value: { action: "toggle", index },
+            },
+            {
+              name: lang.triggers.remove.replace("{name}", trigger.name),
+              value: { action: "remove", index },
+            },
+          ]),
+        ],
+        pageSize: 20,
+      },
+    ]);
+
+    if (selected.action === "back") return;
+    if (selected.action === "add") {
+      await addTrigger(serverId);
+    } else if (selected.action === "toggle") {
+      triggers[selected.index].enabled =
+        triggers[selected.index].enabled === false;
+      saveTriggers(serverId, triggers);
+    } else if (selected.action === "remove") {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: "confirm",
+          name: "confirm",
+          message: lang.triggers.remove_confirm.replace(
+            "{name}",
+            triggers[selected.index].name,
+          ),
+          default: false,
+        },
+      ]);
+      if (confirm) {
+        triggers.splice(selected.index, 1);
+        saveTriggers(serverId, triggers);
+        console.log(chalk.green(lang.triggers.removed));
+      }
+    }
+  }
+}
+
+async function addTrigger(serverId) {
+  const answers = await inquirer.prompt([
+    {
+      type: "input",
+      name: "name",
+      message: lang.triggers.name_prompt,
+      validate: (value) =>
+        (value && value.trim().length > 0) || lang.triggers.name_empty,
+    },
+    {
+      type: "input",
+      name: "pattern",
+      message: lang.triggers.pattern_prompt,
+      validate: (value) => {
+        if (!value) return lang.triggers.pattern_empty;
+        try {
+          new RegExp(value);
+          return true;
+        } catch (error) {
+          return error.message;
+        }
+      },
+    },
+    {
+      type: "list",
+      name: "action",
+      message: lang.triggers.action_prompt,
+      choices: TRIGGER_ACTIONS.map((action) => ({
+        name: lang.triggers.actions[action],
+        value: action,
+      })),
+    },
+    {
+      type: "list",
+      name: "signal",
+      message: lang.triggers.signal_prompt,
+      choices: ["restart", "stop", "kill", "start"],
+      when: (current) => current.action === "power",
+    },
+    {
+      type: "input",
+      name: "command",
+      message: (current) =>
+        current.action === "shell"
+          ? lang.triggers.shell_prompt
+          : lang.triggers.command_prompt,
+      when: (current) => ["command", "shell"].includes(current.action),
+      validate: (value) =>
+        (value && value.trim().length > 0) || lang.triggers.command_empty,
+    },
+    {
+      type: "number",
+      name: "cooldown",
+      message: lang.triggers.cooldown_prompt,
+      default: TRIGGER_DEFAULT_COOLDOWN,
+      validate: (value) =>
+        (Number.isInteger(value) && value >= 0) || lang.triggers.number_invalid,
+    },
+    {
+      type: "number",
+      name: "maxPerHour",
+      message: lang.triggers.max_prompt,
+      default: TRIGGER_DEFAULT_MAX_PER_HOUR,
+      validate: (value) =>
+        (Number.isInteger(value) && value >= 0) || lang.triggers.number_invalid,
+    },
+  ]);
+
+  const trigger = {
+    name: answers.name.trim(),
+    pattern: answers.pattern,
+    action: answers.action,
+    ...(answers.signal && { signal: answers.signal }),
+    ...(answers.command && { command: answers.command.trim() }),
+    cooldown: answers.cooldown,
+    maxPerHour: answers.maxPerHour,
+    enabled: true,
+  };
+  saveTriggers(serverId, [...getTriggers(serverId), trigger]);
+  console.log(chalk.green(lang.triggers.added.replace("{name}", trigger.name)));
+}
+
+// Headless mode for `pterocli watch`: runs the server's triggers until interrupted.
+function watchServer(serverId, options = {}) {
+  return new Promise((resolve) => {
+    const log = (text) =>
+      console.log(`${chalk.gray(new Date().toLocaleTimeString())} ${text}`);
+    let connection = null;
+    const tracker = createStateTracker();
+    const engine = createTriggerEngine(getTriggers(serverId), {
+      serverId,
+      onStop: () => tracker.expectStop(),
+      send: (event, args) => connection?.send(event, args),
+      log,
+    });
+    if (engine.count === 0) {
+      console.error(chalk.red(lang.triggers.none_enabled));
+      resolve(1);
+      return;
+    }
+
+    const stop = () => connection.close();
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+
+    connection = openServerSocket(serverId, {
+      onReady: ({ first }) =>
+        log(
+          chalk.green(
+            first
+              ? lang.triggers.watching.replace("{count}", engine.count)
+              : lang.console.reconnected,
+          ),
+        ),
+      onEvent: (message) => {
+        if (message.event !== "console output") {
+          const text = formatServerEvent(message, tracker);
+          if (text !== null) log(text);
+          return;
+        }
+        if (options.verbose) {
+          process.stdout.write(message.args[0].replace(/\r?\n$/, "") + "\n");
+        }
+        // Watch mode never sends "send logs", so there is no replayed backlog here: every
+        // console line is live output.
+        engine.check(message.args[0]);
+      },
+      onReconnecting: (delay, attempt) =>
+        log(
+          chalk.yellow(
+            lang.console.reconnecting
+              .replace("{seconds}", Math.round(delay / 1000))
+              .replace("{attempt}", attempt),
+          ),
+        ),
+      onError: (text) => log(chalk.red(text)),
+      onClose: (reason) => {
+        process.removeListener("SIGINT", stop);
+        process.removeListener("SIGTERM", stop);
+        if (reason) log(chalk.red(reason));
+        resolve(reason ? 1 : 0);
+      },
+    });
+  });
+}
+
+// --- MULTI-SERVER CONSOLE FUNCTIONS ---
+
+const MULTI_CONSOLE_COLORS = [
+  "cyan",
+  "magenta",
+  "yellow",
+  "green",
+  "blue",
+  "red",
+];
+
+function serverTag(name) {
+  return name.toLowerCase().replace(/\s+/g, "-");
+}
+
+// Tags must route to exactly one server, so servers sharing a name tag get their identifier appended.
+function assignServerTags(servers) {
+  const baseTags = servers.map((server) => serverTag(server.name) || server.id);
+  return servers.map((server, index) =>
+    baseTags.filter((tag) => tag === baseTags[index]).length > 1
+      ? `${baseTags[index]}-${server.id.toLowerCase()}`
+      : baseTags[index],
+  );
+}
+
+async function multiConsoleMenu() {
+  console.log(chalk.yellow(lang.messages.fetching_servers));
+  const servers = await fetchServers();
+  const { selected } = await inquirer.prompt([
+    {
+      type: "checkbox",
+      name: "selected",
+      message: lang.multiConsole.select_prompt,
+      choices: servers.map((server) => ({
+        name: `${server.name} (${chalk.gray(server.identifier)})`,
+        value: { id: server.identifier, name: server.name },
+      })),
+      validate: (value) => value.length > 0 || lang.multiConsole.select_empty,
+      pageSize: 20,
+    },
+  ]);
+  await connectToMultiConsole(selected);
+}
+
+function connectToMultiConsole(servers) {
+  return new Promise((resolve) => {
+    console.log(chalk.yellow(lang.console.connecting));
+
+    const tags = assignServerTags(servers);
+    const width = Math.max(...tags.map((tag) => tag.length));
+    const entries = servers.map((server, index) => ({
+      ...server,
+      tag: tags[index],
+      color: MULTI_CONSOLE_COLORS[index % MULTI_CONSOLE_COLORS.length],
+      rules: compileConsoleRules(getConsoleRules(server.id)),
+      ruleStats: { hidden: 0 },
+      tracker: createStateTracker(),
+      connection: null,
+      closed: false,
+    }));
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      prompt: chalk.cyan("> "),
+      completer: (line) => {
+        const hits = entries
+          .map((entry) => `@${entry.tag} `)
+          .filter((tag) => tag.startsWith(line));
+        return [hits, line];
+      },
+    });
+
+    const printAbovePrompt = (text) => {
+      readline.cursorTo(process.stdout, 0);
+      readline.clearLine(process.stdout, 1);
+      process.stdout.write(text.endsWith("\n") ? text : text + "\n");
+      rl.prompt(true);
+    };
+
+    const prefix = (entry) =>
+      chalk[entry.color].bold(`[${entry.tag.padEnd(width)}]`);
+    const printFor = (entry, text) =>
+      printAbovePrompt(
+        text
+          .replace(/\r?\n$/, "")
+          .split(/\r?\n/)
+          .map((line) => `${prefix(entry)} ${line}`)
+          .join("\n"),
+      );
+
+    let finished = false;
+    const finishIfDone = () => {
+      if (finished || entries.some((entry) => !entry.closed)) return;
+      finished = true;
+      console.log(chalk.cyan.bold(lang.console.connection_closed));
+      rl.close();
+      resolve();
+    };
+
+    entries.forEach((entry) => {
+      entry.connection = openServerSocket(entry.id, {
+        onReady: ({ first }) =>
+          printFor(
+            entry,
+            chalk.green(
+              first ? lang.console.connected : lang.console.reconnected,
+            ),
+          ),
+        onEvent: (message) => {
+          if (message.event !== "console output") {
+            const text = formatServerEvent(message, entry.tracker);
+            if (text !== null) printFor(entry, text);
+            return;
+          }
+          const display = applyConsoleRules(
+            message.args[0],
+            entry.rules,
+            entry.ruleStats,
+          );
+          if (display !== null) printFor(entry, display);
+        },
+        onReconnecting: (delay, attempt) =>
+          printFor(
+            entry,
+            chalk.yellow(
+              lang.console.reconnecting
+                .replace("{seconds}", Math.round(delay / 1000))
+                .replace("{attempt}", attempt),
+            ),
+          ),
+        onError: (text) => printFor(entry, chalk.red(text)),
+        onClose: (reason) => {
+          entry.closed = true;
+          if (reason) printFor(entry, chalk.red(reason));
+          finishIfDone();
+        },
+      });
+    });
+
+    console.log(
+      chalk.bold(
+        lang.multiConsole.instructions.replace(
+          "{tags}",
+          entries.map((entry) => chalk[entry.color](`@${entry.tag}`)).join(" "),
+        ),
+      ),
+    );
+    rl.prompt();
+
+    const findEntry = (tag) => {
+      const needle = tag.toLowerCase();
+      const exact = entries.find(
+        (entry) => entry.tag === needle || entry.id.toLowerCase() === needle,
+      );
+      if (exact) return exact;
+      const partial = entries.filter((entry) => entry.tag.startsWith(needle));
+      return partial.length === 1 ? partial[0] : null;
+    };
+
+    const sendTo = (targets, command) => {
+      targets.forEach((entry) => {
+        if (!entry.connection.send("send command", [command])) {
+          printFor(entry, chalk.yellow(lang.console.not_connected));
+        } else if (STOP_COMMANDS.includes(command.toLowerCase())) {
+          entry.tracker.expectStop();
+        }
+      });
+    };
+
+    rl.on("line", (line) => {
+      const input = line.trim();
+      if (input.toLowerCase() === "!exit") {
+        entries.forEach((entry) => entry.connection.close());
+        return;
+      }
+      if (!input) {
+        rl.prompt();
+        return;
+      }
+
+      // Anything starting with "@" is meant for one server and must never be broadcast.
+      if (input.startsWith("@")) {
+        const [, tag, command] = input.match(/^@(\S*)\s*(.*)$/);
+        const target = tag ? findEntry(tag) : null;
+        if (!command) {
+          printAbovePrompt(
+            chalk.yellow(
+              lang.multiConsole.routed_usage.replace(
+                "{tags}",
+                entries.map((entry) => `@${entry.tag}`).join(", "),
+              ),
+            ),
+          );
+          return;
+        }
+        if (!target) {
+          printAbovePrompt(
+            chalk.yellow(lang.multiConsole.unknown_tag.replace("{tag}", tag)),
+          );
+          return;
+        }
+        sendTo([target], command);
+      } else {
+        sendTo(
+          entries.filter((entry) => !entry.closed),
+          input,
+        );
+      }
+      rl.prompt();
+    }).on("close", () => {
+      entries.forEach((entry) => entry.connection.close());
+    });
+  });
+}
+
+// --- LIVE MONITOR FUNCTIONS ---
+
+const MONITOR_HISTORY = 40;
+const SPARK_CHARS = "▁▂▃▄▅▆▇█";
+const MONITOR_KEYS = { s: "start", x: "stop", r: "restart", k: "kill" };
+
+// Returns a draw function that overwrites whatever it printed last time.
+function createLiveRenderer() {
+  let renderedRows = 0;
+  // Lines wider than the terminal wrap onto several rows, and all of them must be erased.
+  const countRows = (line) => {
+    const columns = process.stdout.columns || 80;
+    return Math.max(1, Math.ceil(stripAnsi(line).length / columns));
+  };
+  return (lines) => {
+    if (renderedRows > 0) {
+      readline.moveCursor(process.stdout, 0, -renderedRows);
+    }
+    readline.cursorTo(process.stdout, 0);
+    readline.clearScreenDown(process.stdout);
+    process.stdout.write(lines.join("\n") + "\n");
+    renderedRows = lines.reduce((rows, line) => rows + countRows(line), 0);
+  };
+}
+
+// Puts stdin in raw mode and routes keypresses to the handler until released.
+function captureKeypresses(onKeypress) {
+  readline.emitKeypressEvents(process.stdin);
+  if (process.stdin.isTTY) process.stdin.setRawMode(true);
+  process.stdin.on("keypress", onKeypress);
+  process.stdin.resume();
+  return () => {
+    process.stdin.removeListener("keypress", onKeypress);
+    if (process.stdin.isTTY) process.stdin.setRawMode(false);
+    process.stdin.pause();
+  };
+}
+
+function isQuitKey(key) {
+  return (
+    key.name === "q" ||
+    key.name === "escape" ||
+    (key.ctrl && ["c", "d"].includes(key.name))
+  );
+}
+
+function sparkline(values, max) {
+  const ceiling = max || Math.max(...values, 1);
+  return values
+    .map((value) => {
+      const ratio = Math.min(Math.max(value / ceiling, 0), 1);
+      return SPARK_CHARS[Math.round(ratio * (SPARK_CHARS.length - 1))];
+    })
+    .join("");
+}
+
+// Green below 70% of the limit, yellow below 90%, red beyond that.
+function thresholdColor(value, limit) {
+  if (!limit) return chalk.cyan;
+  const ratio = value / limit;
+  if (ratio >= 0.9) return chalk.red.bold;
+  if (ratio >= 0.7) return chalk.yellow;
+  return chalk.green;
+}
+
+function stateColor(state) {
+  switch (state) {
+    case "running":
+      return chalk.green.bold;
+    case "offline":
+      return chalk.red.bold;
+    case "starting":
+    case "stopping":
+      return chalk.yellow.bold;
+    default:
+      return chalk.gray;
+  }
+}
+
+function renderMonitor(serverName, monitor) {
+  const { stats, limits, history } = monitor;
+  const memoryLimit = limits.memory
+    ? limits.memory * 1024 * 1024
+    : stats.memory_limit_bytes || 0;
+  const diskLimit = limits.disk ? limits.disk * 1024 * 1024 : 0;
+  const usage = (value, limit) =>
+    `${formatBytes(value)} / ${limit ? formatBytes(limit) : "∞"}` +
+    (limit ? ` (${((value / limit) * 100).toFixed(1)}%)` : "");
+  // Pad before colouring so escape codes don't throw off the column width.
+  const row = (label, color, text, spark) =>
+    `  ${chalk.bold(label.padEnd(10))} ${color(text.padEnd(36))}` +
+    (spark ? ` ${color(spark)}` : "");
+
+  return [
+    chalk.cyan.bold(lang.monitor.title.replace("{serverName}", serverName)),
+    `  ${lang.monitor.state} ${stateColor(stats.state)(stats.state || "-")}   ${lang.monitor.uptime} ${formatUptime(stats.uptime)}`,
+    "",
+    row(
+      lang.monitor.cpu,
+      thresholdColor(stats.cpu_absolute, limits.cpu),
+      `${stats.cpu_absolute.toFixed(2)}% / ${limits.cpu ? `${limits.cpu}%` : "∞"}`,
+      sparkline(history.cpu, limits.cpu),
+    ),
+    row(
+      lang.monitor.memory,
+      thresholdColor(stats.memory_bytes, memoryLimit),
+      usage(stats.memory_bytes, memoryLimit),
+      sparkline(history.memory, memoryLimit),
+    ),
+    row(
+      lang.monitor.disk,
+      thresholdColor(stats.disk_bytes, diskLimit),
+      usage(stats.disk_bytes, diskLimit),
+    ),
+    row(
+      lang.monitor.network_rx,
+      chalk.blue,
+      `${formatBytes(monitor.rxRate)}/s (${formatBytes(stats.network.rx_bytes)})`,
+      sparkline(history.rx),
+    ),
+    row(
+      lang.monitor.network_tx,
+      chalk.magenta,
+      `${formatBytes(monitor.txRate)}/s (${formatBytes(stats.network.tx_bytes)})`,
+      sparkline(history.tx),
+    ),
+    "",
+    chalk.gray(lang.monitor.keys),
+    monitor.notice,
+  ];
+}
+
+function monitorServer(serverId, serverName) {
+  return new Promise(async (resolve) => {
+    let limits = {};
+    try {
+      console.log(chalk.yellow(lang.monitor.connecting));
+      const { data } = await api.get(`/servers/${serverId}`);
+      limits = data.attributes.limits || {};
+    } catch (error) {
+      console.error(
+        chalk.red(
+          lang.monitor.connect_fail.replace(
+            "{error}",
+            error.response?.data?.errors?.[0]?.detail || error.message,
+          ),
+        ),
+      );
+      return resolve();
+    }
+
+    const monitor = {
+      limits,
+      stats: null,
+      history: { cpu: [], memory: [], rx: [], tx: [] },
+      rxRate: 0,
+      txRate: 0,
+      notice: "",
+      lastSample: null,
+      tracker: createStateTracker(),
+    };
+    const render = createLiveRenderer();
+    let pendingKill = null;
+    let connection = null;
+
+    const draw = () => {
+      render(
+        monitor.stats
+          ? renderMonitor(serverName, monitor)
+          : [chalk.gray(lang.monitor.waiting)],
+      );
+    };
+
+    const setNotice = (text) => {
+      monitor.notice = text;
+      draw();
+    };
+
+    const onKeypress = (str, key = {}) => {
+      if (isQuitKey(key)) {
+        connection.close();
+        return;
+      }
+      const signal = MONITOR_KEYS[key.name];
+      if (!signal || !connection.ready) return;
+
+      // Killing can corrupt world data, so it needs a second press.
+      if (signal === "kill" && !pendingKill) {
+        pendingKill = setTimeout(() => {
+          pendingKill = null;
+          setNotice("");
+        }, 3000);
+        setNotice(chalk.red(lang.monitor.kill_confirm));
+        return;
+      }
+      clearTimeout(pendingKill);
+      pendingKill = null;
+      connection.send("set state", [signal]);
+      if (signal !== "start") monitor.tracker.expectStop();
+      setNotice(
+        chalk.yellow(lang.monitor.signal_sent.replace("{signal}", signal)),
+      );
+    };
+
+    const releaseKeys = captureKeypresses(onKeypress);
+
+    const onStats = (stats) => {
+      const now = Date.now();
+      // Network counters are cumulative, so rates come from the delta between samples.
+      if (monitor.lastSample) {
+        const seconds = (now - monitor.lastSample.time) / 1000 || 1;
+        monitor.rxRate = Math.max(
+          (stats.network.rx_bytes - monitor.lastSample.rx) / seconds,
+          0,
+        );
+        monitor.txRate = Math.max(
+          (stats.network.tx_bytes - monitor.lastSample.tx) / seconds,
+          0,
+        );
+      }
+      monitor.lastSample = {
+        time: now,
+        rx: stats.network.rx_bytes,
+        tx: stats.network.tx_bytes,
+      };
+      monitor.stats = stats;
+
+      const push = (series, value) => {
+        series.push(value);
+        if (series.length > MONITOR_HISTORY) series.shift();
+      };
+      push(monitor.history.cpu, stats.cpu_absolute);
+      push(monitor.history.memory, stats.memory_bytes);
+      push(monitor.history.rx, monitor.rxRate);
+      push(monitor.history.tx, monitor.txRate);
+      draw();
+    };
+
+    // openServerSocket refreshes the JWT before it expires and reconnects after drops,
+    // so the monitor can be left open indefinitely.
+    connection = openServerSocket(serverId, {
+      onReady: ({ first }) =>
+        first ? draw() : setNotice(chalk.green(lang.console.reconnected)),
+      onEvent: (message) => {
+        if (message.event !== "stats") {
+          const text = formatServerEvent(message, monitor.tracker);
+          if (text !== null) setNotice(text.split("\n").pop());
+          return;
+        }
+        try {
+          onStats(JSON.parse(message.args[0]));
+        } catch (error) {
+          // Ignore malformed samples; the next one arrives shortly.
+        }
+      },
+      onReconnecting: (delay, attempt) =>
+        setNotice(
+          chalk.yellow(
+            lang.console.reconnecting
+              .replace("{seconds}", Math.round(delay / 1000))
+              .replace("{attempt}", attempt),
+          ),
+        ),
+      onError: (text) => setNotice(chalk.red(text)),
+      onClose: (reason) => {
+        clearTimeout(pendingKill);
+        releaseKeys();
+        if (reason) console.error(chalk.red(reason));
+        console.log(chalk.cyan.bold(lang.monitor.closed));
+        resolve();
+      },
+    });
+  });
+}
+
+// --- DASHBOARD FUNCTIONS ---
+
+const DASHBOARD_CONCURRENCY = 5;
+const DASHBOARD_SORT_KEYS = {
+  n: "name",
+  s: "state",
+  c: "cpu",
+  m: "memory",
+  d: "disk",
+};
+
+function getDashboardRefresh() {
+  return config.dashboardRefresh ?? 10;
+}
+
+// Runs the worker over every item with at most `limit` calls in flight, keeping result order.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    },
+  );
+  await Promise.all(runners);
+  return results;
+}
+
+async function fetchDashboardRows() {
+  const servers = await fetchServers();
+  return mapWithConcurrency(servers, DASHBOARD_CONCURRENCY, async (server) => {
+    const row = {
+      id: server.identifier,
+      name: server.name,
+      limits: server.limits || {},
+      state: "unknown",
+      cpu: 0,
+      memory: 0,
+      disk: 0,
+    };
+    try {
+      const { data } = await api.get(`/servers/${server.identifier}/resources`);
+      const { current_state, resources } = data.attributes;
+      Object.assign(row, {
+        state: current_state,
+        cpu: resources.cpu_absolute,
+        memory: resources.memory_bytes,
+        disk: resources.disk_bytes,
+      });
+    } catch (error) {
+      row.state = "error";
+      row.error = error.response?.data?.errors?.[0]?.detail || error.message;
+    }
+    return row;
+  });
+}
+
+function sortDashboardRows(rows, sort) {
+  const direction = sort.descending ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const left = a[sort.column];
+    const right = b[sort.column];
+    const result =
+      typeof left === "string"
+        ? left.localeCompare(right, undefined, { sensitivity: "base" })
+        : left - right;
+    return result * direction;
+  });
+}
+
+function renderDashboard(view) {
+  const headers = {
+    name: lang.dashboard.header_name,
+    state: lang.dashboard.header_state,
+    cpu: lang.dashboard.header_cpu,
+    memory: lang.dashboard.header_memory,
+    disk: lang.dashboard.header_disk,
+  };
+  const arrow = view.sort.descending ? " ▼" : " ▲";
+  const table = new Table({
+    head: Object.entries(headers).map(([column, label]) =>
+      chalk.cyan.bold(label + (column === view.sort.column ? arrow : "")),
+    ),
+    colWidths: [26, 12, 16, 24, 24],
+  });
+  const usage = (value, limitMb) => {
+    const limit = limitMb ? limitMb * 1024 * 1024 : 0;
+    return thresholdColor(
+      value,
+      limit,
+    )(`${formatBytes(value)} / ${limit ? formatBytes(limit) : "∞"}`);
+  };
+
+  view.rows.forEach((row, index) => {
+    const selected = index === view.cursor;
+    const name = `${selected ? "❯ " : "  "}${row.name}`;
+    const available = !["error", "unknown", "offline"].includes(row.state);
+    table.push([
+      selected ? chalk.inverse(name) : name,
+      stateColor(row.state)(row.state),
+      available
+        ? thresholdColor(
+            row.cpu,
+            row.limits.cpu,
+          )(
+            `${row.cpu.toFixed(1)}% / ${row.limits.cpu ? `${row.limits.cpu}%` : "∞"}`,
+          )
+        : chalk.gray("-"),
+      available ? usage(row.memory, row.limits.memory) : chalk.gray("-"),
+      row.state === "error"
+        ? chalk.gray("-")
+        : usage(row.disk, row.limits.disk),
+    ]);
+  });
+
+  const refresh = getDashboardRefresh();
+  const status = view.loading
+    ? chalk.yellow(lang.dashboard.refreshing)
+    : chalk.gray(
+        lang.dashboard.updated
+          .replace("{time}", view.updatedAt.toLocaleTimeString())
+          .replace(
+            "{interval}",
+            refresh ? `${refresh}s` : lang.settings.off.toLowerCase(),
+          ),
+      );
+  const errors = view.rows
+    .filter((row) => row.error)
+    .map((row) => chalk.red(`  ${row.name}: ${row.error}`));
+
+  return [
+    chalk.cyan.bold(lang.dashboard.title),
+    ...table.toString().split("\n"),
+    ...errors,
+    status,
+    chalk.gray(lang.dashboard.keys),
+  ];
+}
+
+function dashboardView() {
+  return new Promise((resolve) => {
+    const render = createLiveRenderer();
+    const view = {
+      rows: [],
+      cursor: 0,
+      sort: { column: "name", descending: false },
+      loading: true,
+      updatedAt: new Date(),
+    };
+    let timer = null;
+    let closed = false;
+
+    const draw = () => {
+      if (!closed) render(renderDashboard(view));
+    };
+
+    const refresh = async () => {
+      if (closed) return;
+      clearTimeout(timer);
+      view.loading = true;
+      draw();
+      try {
+        const selectedId = view.rows[view.cursor]?.id;
+        view.rows = sortDashboardRows(await fetchDashboardRows(), view.sort);
+        // Keep the highlight on the same server after the rows reorder.
+        view.cursor = Math.max(
+          view.rows.findIndex((row) => row.id === selectedId),
+          0,
+        );
+      } catch (error) {
+        finish(null);
+        console.error(
+          chalk.red(
+            lang.dashboard.fetch_fail.replace(
+              "{error}",
+              error.response?.data?.errors?.[0]?.detail || error.message,
+            ),
+          ),
+        );
+        return;
+      }
+      view.loading = false;
+      view.updatedAt = new Date();
+      draw();
+      const interval = getDashboardRefresh();
+      if (interval && !closed) timer = setTimeout(refresh, interval * 1000);
+    };
+
+    const onKeypress = (str, key = {}) => {
+      if (isQuitKey(key)) return finish(null);
+
+      if (key.name === "up" || key.name === "down") {
+        const count = view.rows.length || 1;
+        view.cursor =
+          (view.cursor + (key.name === "up" ? -1 : 1) + count) % count;
+        draw();
+      } else if (key.name === "return" && view.rows[view.cursor]) {
+        const { id, name } = view.rows[view.cursor];
+        finish({ id, name });
+      } else if (key.name === "r" && !view.loading) {
+        refresh();
+      } else if (DASHBOARD_SORT_KEYS[key.name]) {
+        const column = DASHBOARD_SORT_KEYS[key.name];
+        const selectedId = view.rows[view.cursor]?.id;
+        view.sort = {
+          column,
+          descending:
+            view.sort.column === column ? !view.sort.descending : false,
+        };
+        view.rows = sortDashboardRows(view.rows, view.sort);
+        view.cursor = Math.max(
+          view.rows.findIndex((row) => row.id === selectedId),
+          0,
+        );
+        draw();
+      }
+    };
+
+    const releaseKeys = captureKeypresses(onKeypress);
+    const finish = (result) => {
+      closed = true;
+      clearTimeout(timer);
+      releaseKeys();
+      resolve(result);
+    };
+
+    refresh();
+  });
+}
+
+// --- NON-INTERACTIVE CLI ---
+
+// Flags that consume the following argument as their value; every other flag is boolean.
+const CLI_VALUE_FLAGS = ["profile", "log-file", "timeout"];
+
+// Value flags given without a value (at the end, before another flag, or as "--name=") are
+// collected in missingValues so the caller can reject them instead of using `true`.
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+  const missingValues = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg.startsWith("--")) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (!CLI_VALUE_FLAGS.includes(name)) {
+        flags[name] = inlineValue ?? true;
+      } else if (inlineValue !== undefined) {
+        if (inlineValue === "") missingValues.push(name);
+        else flags[name] = inlineValue;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+        flags[name] = argv[++i];
+      } else {
+        missingValues.push(name);
+      }
+    } else if (arg === "-h") {
+      flags.help = true;
+    } else {
+      positionals.push(arg);
+    }
+  }
+  return { positionals, flags, missingValues };
+}
+
+function printUsage() {
+  console.log(lang.cli.usage.join("\n"));
+}
+
+async function resolveServer(query) {
+  const servers = await fetchServers();
+  const needle = query.toLowerCase();
+  let matches = servers.filter(
+    (server) =>
+      server.uuid.toLowerCase() === needle ||
+      server.identifier.toLowerCase() === needle,
+  );
+  if (matches.length === 0) {
+    matches = servers.filter((server) => server.name.toLowerCase() === needle);
+  }
+
+  if (matches.length === 0) {
+    throw new Error(lang.cli.server_not_found.replace("{server}", query));
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      lang.cli.server_ambiguous
+        .replace("{server}", query)
+        .replace("{matches}", matches.map((m) => m.identifier).join(", ")),
+    );
+  }
+  return { id: matches[0].identifier, name: matches[0].name };
+}
+
+function sendConsoleCommand(serverId, command) {
+  return new Promise(async (resolve, reject) => {
+    let details;
+    try {
+      details = await fetchWebSocketDetails(serverId);
+    } catch (error) {
+      return reject(error);
+    }
+    const socket = new WebSocket(details.socket, { origin: PANEL_URL });
+    const timeout = setTimeout(() => {
+      socket.terminate();
+      reject(new Error(lang.cli.console_timeout));
+    }, 15000);
+
+    socket.on("open", () => {
+      socket.send(JSON.stringify({ event: "auth", args: [details.token] }));
+    });
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (e) {
+        return;
+      }
+      if (message.event === "auth success") {
+        socket.send(
+          JSON.stringify({ event: "send command", args: [command] }),
+          (error) => {
+            clearTimeout(timeout);
+            socket.close();
+            if (error) reject(error);
+            else resolve();
+          },
+        );
+      } else if (message.event === "jwt error") {
+        clearTimeout(timeout);
+        socket.terminate();
+        reject(new Error(message.args?.[0] || message.event));
+      }
+    });
+
+    socket.on("error", (error) => {
+      clearTimeout(timeout);
+      reject(
+        new Error(
+          lang.console.connection_error.replace("{error}", error.message),
+        ),
+      );
+    });
+  });
+}
+
+async function cliServers(flags) {
+  const servers = await fetchServers();
+  if (flags.json) {
+    console.log(JSON.stringify(servers, null, 2));
+    return 0;
+  }
+  servers.forEach((server) =>
+    console.log(`${server.identifier}\t${server.uuid}\t${server.name}`),
+  );
+  return 0;
+}
+
+async function cliPower(args, flags) {
+  const [serverQuery, signal] = args;
+  const timeout =
+    flags.timeout === undefined ? POWER_WAIT_TIMEOUT : Number(flags.timeout);
+  if (
+    !serverQuery ||
+    !["start", "stop", "restart", "kill"].includes(signal) ||
+    !(timeout > 0)
+  ) {
+    printUsage();
+    return 2;
+  }
+  const server = await resolveServer(serverQuery);
+  if (!(await sendPowerAction(server.id, signal))) return 1;
+  if (!flags.wait) return 0;
+  const { result } = await waitForServerState(server.id, signal, timeout);
+  return result === "reached" ? 0 : 1;
+}
+
+async function cliFiles(args, flags) {
+  const [subcommand, serverQuery, ...rest] = args;
+  if (!serverQuery) {
+    printUsage();
+    return 2;
+  }
+
+  switch (subcommand) {
+    case "ls": {
+      const server = await resolveServer(serverQuery);
+      const directory = rest[0] || "/";
+      const items = await listDirectory(server.id, directory, true);
+      if (flags.json) {
+        console.log(JSON.stringify([...items.dirs, ...items.files], null, 2));
+        return 0;
+      }
+      items.dirs.forEach((dir) => console.log(`${dir.name}/`));
+      items.files.forEach((file) => console.log(file.name));
+      return 0;
+    }
+    case "get": {
+      const [remotePath, localPath] = rest;
+      if (!remotePath) break;
+      const server = await resolveServer(serverQuery);
+      if (await isRemoteDirectory(server.id, remotePath)) {
+        const summary = await downloadDirectory(
+          server.id,
+          remotePath,
+          localPath,
+        );
+        return summary.failed.length > 0 ? 1 : 0;
+      }
+      await downloadFile(server.id, remotePath, localPath);
+      return 0;
+    }
+    case "put": {
+      const [localPath, remoteDir = "/"] = rest;
+      if (!localPath) break;
+      if (!fs.existsSync(localPath)) {
+        console.error(chalk.red(lang.fileManager.upload_file_not_found));
+        return 1;
+      }
+      const server = await resolveServer(serverQuery);
+      if (fs.statSync(localPath).isDirectory()) {
+        const summary = await uploadDirectory(server.id, localPath, remoteDir);
+        return summary.failed.length > 0 ? 1 : 0;
+      }
+      await uploadFile(server.id, remoteDir, localPath);
+      return 0;
+    }
+  }
+  printUsage();
+  return 2;
+}
+
+// The panel has no stat endpoint, so look the entry up in its parent's listing.
+async function isRemoteDirectory(serverId, remotePath) {
+  const name = path.basename(remotePath);
+  if (!name) return true;
+  const items = await listDirectory(serverId, path.dirname(remotePath), true);
+  return items.dirs.some((dir) => dir.name === name);
+}
+
+async function cliConsole(args) {
+  const [subcommand, serverQuery, ...commandParts] = args;
+  const command = commandParts.join(" ");
+  if (subcommand !== "send" || !serverQuery || !command) {
+    printUsage();
+    return 2;
+  }
+  const server = await resolveServer(serverQuery);
+  await sendConsoleCommand(server.id, command);
+  console.log(chalk.green(lang.cli.command_sent));
+  return 0;
+}
+
+async function cliWatch(args, flags) {
+  const [serverQuery] = args;
+  if (!serverQuery) {
+    printUsage();
+    return 2;
+  }
+  const server = await resolveServer(serverQuery);
+  return watchServer(server.id, { verbose: Boolean(flags.verbose) });
+}
+
+async function cliProfile(args) {
+  const [subcommand, ...rest] = args;
+  switch (subcommand) {
+    case "list":
+    case undefined: {
+      for (const [name, profile] of Object.entries(getProfiles())) {
+        console.log(`${name}\t${profile.url}`);
+      }
+      return 0;
+    }
+    case "add": {
+      const [name, url, key] = rest;
+      if (!name || !url || !key) break;
+      const invalid = [validateProfileName(name), validatePanelUrl(url)].find(
+        (result) => result !== true,
+      );
+      if (invalid) {
+        console.error(chalk.red(`❌ ${invalid}`));
+        return 1;
+      }
+      addProfile(name, url, key);
+      console.log(chalk.green(lang.profiles.added.replace("{profile}", name)));
+      return 0;
+    }
+    case "remove": {
+      const [name] = rest;
+      if (!name) break;
+      if (!getProfiles()[name]) {
+        throw new Error(lang.profiles.not_found.replace("{profile}", name));
+      }
+      removeProfile(name);
+      console.log(chalk.green(lang.profiles.removed));
+      return 0;
+    }
+    case "rename": {
+      const [oldName, newName] = rest;
+      if (!oldName || !newName) break;
+      if (!getProfiles()[oldName]) {
+        throw new Error(lang.profiles.not_found.replace("{profile}", oldName));
+      }
+      const invalid = validateProfileName(newName, oldName);
+      if (invalid !== true) {
+        console.error(chalk.red(`❌ ${invalid}`));
+        return 1;
+      }
+      renameProfile(oldName, newName);
+      console.log(chalk.green(lang.profiles.renamed));
+      return 0;
+    }
+    case "test": {
+      const names = rest.length > 0 ? rest : Object.keys(getProfiles());
+      let failed = false;
+      for (const name of names) {
+        const result = await testProfile(name);
+        printProfileTestResult(name, result);
+        if (!result.ok) failed = true;
+      }
+      return failed ? 1 : 0;
+    }
+  }
+  printUsage();
+  return 2;
+}
+
+async function runCli({ positionals, flags, missingValues }) {
+  loadConfig();
+  loadLanguage();
+
+  if (missingValues.length > 0) {
+    console.error(
+      chalk.red(
+        lang.cli.missing_value.replace("{flag}", `--${missingValues[0]}`),
+      ),
+    );
+    printUsage();
+    return 2;
+  }
+
+  const [command, ...args] = positionals;
+  if (!command || command === "help" || flags.help) {
+    printUsage();
+    return command === "help" || flags.help ? 0 : 2;
+  }
+
+  try {
+    // Profile management works on config.json only and needs no credentials.
+    if (command === "profile") return await cliProfile(args);
+
+    const profileNames = Object.keys(getProfiles());
+    if (flags.profile) {
+      useProfile(flags.profile);
+    } else if (PANEL_URL && API_KEY) {
+      createApiClient();
+    } else if (profileNames.length === 1) {
+      useProfile(profileNames[0]);
+    } else {
+      console.error(chalk.red(lang.cli.not_configured));
+      return 1;
+    }
+
+    switch (command) {
+      case "servers":
+        return await cliServers(flags);
+      case "power":
+        return await cliPower(args, flags);
+      case "files":
+        return await cliFiles(args, flags);
+      case "console":
+        return await cliConsole(args);
+      case "watch":
+        return await cliWatch(args, flags);
+      default:
+        console.error(
+          chalk.red(lang.cli.unknown_command.replace("{command}", command)),
+        );
+        printUsage();
+        return 2;
+    }
+  } catch (error) {
+    console.error(
+      chalk.red(error.response?.data?.errors?.[0]?.detail || error.message),
+    );
+    return 1;
+  }
+}
+
+const cliOptions = parseArgs(process.argv.slice(2));
+if (
+  cliOptions.positionals.length > 0 ||
+  cliOptions.flags.help ||
+  cliOptions.missingValues.length > 0
+) {
+  runCli(cliOptions).then((code) => process.exit(code));
+} else {
+  main(cliOptions.flags);
+}